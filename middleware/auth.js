@@ -1,23 +1,69 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { activeSession } from '../services/sessions.js';
+import { accountRestriction } from '../services/moderation.js';
 
-export async function authenticateToken(req, res, next) {
+function getBearerToken(req) {
   const authHeader = req.headers.authorization;
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+}
+
+// User and session for an access token. Tokens without a live session (revoked,
+// expired, or issued before sessions existed) are rejected.
+async function resolveToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const session = await activeSession(decoded.sid, decoded.userId);
+  if (!session) return null;
+  const user = await User.findById(decoded.userId).select('-password');
+  return user ? { user, session } : null;
+}
+
+export async function authenticateToken(req, res, next) {
+  const token = getBearerToken(req);
 
   if (!token) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    const resolved = await resolveToken(token);
+    if (!resolved) {
+      return res.status(401).json({ error: 'Session expired or revoked' });
     }
-    req.user = user;
+    const restriction = accountRestriction(resolved.user);
+    if (restriction) return res.status(403).json(restriction);
+    req.user = resolved.user;
+    req.authSession = resolved.session;
     next();
   } catch (err) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 }
+
+// Sets req.user when a valid token is sent, otherwise continues anonymously
+export async function optionalAuth(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  try {
+    const resolved = await resolveToken(token);
+    // Suspended or banned users browse public endpoints as anonymous
+    if (resolved && !accountRestriction(resolved.user)) {
+      req.user = resolved.user;
+      req.authSession = resolved.session;
+    }
+  } catch (err) {
+    // Public endpoints ignore bad tokens
+  }
+  next();
+}
+
+// Use after authenticateToken
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+  };
+}
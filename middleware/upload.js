@@ -0,0 +1,136 @@
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Ensure uploads directory exists
+export const UPLOADS_DIR = path.join(__dirname, '../uploads');
+if (!fs.existsSync(UPLOADS_DIR)) {
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+}
+
+// Max media items per project
+export const MAX_PROJECT_MEDIA = 10;
+
+// Max attachments per chat message
+export const MAX_MESSAGE_ATTACHMENTS = 5;
+
+// Multer config for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, UPLOADS_DIR);
+  },
+  filename: (req, file, cb) => {
+    const ext = getExtensionFromMimetype(file.mimetype);
+    const filename = `${uuidv4()}${ext}`;
+    cb(null, filename);
+  },
+});
+
+// Stored files are named from their validated mimetype, never the client's filename,
+// so an upload can't pick how it is served back (e.g. "x.html")
+export function getExtensionFromMimetype(mimetype) {
+  const map = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif',
+    'video/mp4': '.mp4',
+    'video/webm': '.webm',
+    'video/quicktime': '.mov',
+    'application/pdf': '.pdf',
+    'application/zip': '.zip',
+    'text/plain': '.txt',
+    'application/msword': '.doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  };
+  return map[mimetype] || '.bin';
+}
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const VIDEO_TYPES = ['video/mp4', 'video/webm'];
+const CHAT_IMAGE_TYPES = [...IMAGE_TYPES, 'image/gif'];
+const CHAT_VIDEO_TYPES = [...VIDEO_TYPES, 'video/quicktime'];
+const CHAT_FILE_TYPES = [
+  'application/pdf',
+  'application/zip',
+  'text/plain',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+];
+
+// Chat attachment kind for a mimetype
+export function attachmentKind(mimetype) {
+  if (CHAT_IMAGE_TYPES.includes(mimetype)) return 'image';
+  if (CHAT_VIDEO_TYPES.includes(mimetype)) return 'video';
+  return 'file';
+}
+
+// Per-kind size limits for chat attachments. Multer enforces the largest; the
+// rest are checked with attachmentSizeError once the files are in.
+export const MESSAGE_ATTACHMENT_LIMITS = {
+  image: 10 * 1024 * 1024, // 10MB
+  video: 25 * 1024 * 1024, // 25MB
+  file: 10 * 1024 * 1024, // 10MB
+};
+
+// Multer instance writing to UPLOADS_DIR; storage drivers pick the files up from there
+function createUpload({ allowed, maxSize, typeError }) {
+  return multer({
+    storage,
+    limits: { fileSize: maxSize },
+    fileFilter: (req, file, cb) => {
+      if (allowed.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error(typeError));
+      }
+    },
+  });
+}
+
+export const upload = createUpload({
+  allowed: [...IMAGE_TYPES, ...VIDEO_TYPES],
+  maxSize: 50 * 1024 * 1024, // 50MB
+  typeError: 'Invalid file type. Allowed: JPEG, PNG, WebP, MP4, WebM',
+});
+
+export const avatarUpload = createUpload({
+  allowed: IMAGE_TYPES,
+  maxSize: 2 * 1024 * 1024, // 2MB
+  typeError: 'Invalid image type',
+});
+
+export const messageUpload = createUpload({
+  allowed: [...CHAT_IMAGE_TYPES, ...CHAT_VIDEO_TYPES, ...CHAT_FILE_TYPES],
+  maxSize: Math.max(...Object.values(MESSAGE_ATTACHMENT_LIMITS)),
+  typeError: 'Invalid file type. Allowed: images, MP4/WebM/MOV videos, PDF, ZIP, TXT and Word documents',
+});
+
+// Error message for the first chat attachment over its kind's limit, or null
+export function attachmentSizeError(files = []) {
+  for (const file of files) {
+    const kind = attachmentKind(file.mimetype);
+    const limit = MESSAGE_ATTACHMENT_LIMITS[kind];
+    if (file.size > limit) {
+      return `${file.originalname} is too large (max ${limit / (1024 * 1024)}MB for ${kind}s)`;
+    }
+  }
+  return null;
+}
+
+// Mounted app-wide: once a response is sent, remove any temp upload a route
+// didn't hand to storage (e.g. the request failed validation)
+export function cleanupTempUploads(req, res, next) {
+  res.on('close', () => {
+    const files = [req.file, ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())];
+    for (const file of files) {
+      if (file?.path) fs.unlink(file.path, () => {});
+    }
+  });
+  next();
+}
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// One entry per moderation action (routes/admin.js, services/reports.js). Never
+// updated or deleted.
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Null for automatic actions, e.g. content hidden after too many reports
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // e.g. user.suspend, project.hide, comment.delete
+    action: { type: String, required: true },
+    targetType: { type: String, enum: ['user', 'project', 'comment', 'user_card', 'message'], required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    reason: { type: String, default: '' },
+    // Action specific: previous role, suspension end, snapshot of deleted content...
+    details: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, collection: 'admin_audit_log' }
+);
+
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const commentSchema = new mongoose.Schema(
+  {
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    userName: String,
+    // Top-level comment this replies to; replies to replies attach to the same root
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+    // Emptied when a comment with replies is deleted, so the thread stays intact
+    text: { type: String, required: function () { return !this.deleted; } },
+    deleted: { type: Boolean, default: false },
+    editedAt: { type: Date, default: null },
+    replyCount: { type: Number, default: 0 },
+    // Taken down by a moderator (or by reports, see services/reports.js): only staff still see it
+    hidden: { type: Boolean, default: false },
+    hiddenAt: { type: Date, default: null },
+    // Null when hidden automatically
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    hiddenReason: { type: String, default: '' },
+  },
+  { timestamps: true, collection: 'project_comment' }
+);
+
+// Top-level comments newest first, replies oldest first
+commentSchema.index({ projectId: 1, parentId: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ parentId: 1, createdAt: 1, _id: 1 });
+commentSchema.index({ userId: 1 });
+
+commentSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+export default mongoose.model('Comment', commentSchema);
@@ -0,0 +1,191 @@
+import mongoose from 'mongoose';
+
+const memberSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Group role; both members of a direct conversation are plain members
+    role: { type: String, enum: ['admin', 'member'], default: 'member' },
+    joinedAt: { type: Date, default: Date.now },
+    // Messages after this are unread for the member
+    lastReadAt: { type: Date, default: Date.now },
+    // Kept in step with lastReadAt as messages arrive, so lists don't count messages
+    unreadCount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Denormalised copy of the newest message, for the conversation list
+const lastMessageSchema = new mongoose.Schema(
+  {
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+    senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    text: { type: String, default: '' },
+    attachment: {
+      kind: String,
+      name: String,
+      thumbnailUrl: String,
+    },
+    attachmentCount: { type: Number, default: 0 },
+    deleted: { type: Boolean, default: false },
+    hidden: { type: Boolean, default: false },
+    // Members who deleted this message for themselves; they see an older preview
+    deletedFor: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+    createdAt: Date,
+  },
+  { _id: false }
+);
+
+// One record per direct chat (created on the first message) and per group.
+// Direct messages themselves are still keyed by sender/receiver; group messages
+// point at their conversation.
+const conversationSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['direct', 'group'], default: 'group' },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      required: function () {
+        return this.type === 'group';
+      },
+    },
+    // Sorted member ids, so each pair of users has a single direct conversation
+    directKey: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    members: { type: [memberSchema], default: [] },
+    lastMessage: { type: lastMessageSchema, default: null },
+    lastMessageAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true, collection: 'user_conversation' }
+);
+
+conversationSchema.index({ 'members.userId': 1, lastMessageAt: -1, _id: -1 });
+conversationSchema.index(
+  { directKey: 1 },
+  { unique: true, partialFilterExpression: { directKey: { $type: 'string' } } }
+);
+
+export function directKey(userId, otherId) {
+  return [userId.toString(), otherId.toString()].sort().join(':');
+}
+
+export function lastMessageSnapshot(message) {
+  const first = message.attachments?.[0];
+  // Unsent or hidden by moderation: the preview shows no content either
+  const withheld = !!message.deletedForEveryone || !!message.hidden;
+  return {
+    messageId: message._id,
+    senderId: message.senderId,
+    text: withheld ? '' : message.text,
+    attachment:
+      first && !withheld ? { kind: first.kind, name: first.name, thumbnailUrl: first.thumbnailUrl || null } : undefined,
+    attachmentCount: withheld ? 0 : message.attachments?.length || 0,
+    deleted: !!message.deletedForEveryone,
+    hidden: !!message.hidden,
+    deletedFor: message.deletedFor || [],
+    createdAt: message.createdAt,
+  };
+}
+
+conversationSchema.statics.findGroupForMember = function (conversationId, userId) {
+  return this.findOne({ _id: conversationId, type: 'group', 'members.userId': userId });
+};
+
+// The direct conversation between two users, created on first use. Two first
+// messages at once can both try the insert; the loser reads the winner's record.
+conversationSchema.statics.findOrCreateDirect = async function (userId, otherId) {
+  const key = directKey(userId, otherId);
+  try {
+    return await this.findOneAndUpdate(
+      { directKey: key },
+      {
+        $setOnInsert: {
+          type: 'direct',
+          members: [{ userId }, { userId: otherId }],
+        },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return this.findOne({ directKey: key });
+  }
+};
+
+// A new message: becomes the preview, is unread for everyone but the sender, and
+// counts as the sender having read up to it
+conversationSchema.statics.recordMessage = function (conversationId, message) {
+  return this.updateOne(
+    { _id: conversationId },
+    {
+      $set: {
+        lastMessage: lastMessageSnapshot(message),
+        lastMessageAt: message.createdAt,
+        'members.$[sender].lastReadAt': message.createdAt,
+        'members.$[sender].unreadCount': 0,
+      },
+      $inc: { 'members.$[other].unreadCount': 1 },
+    },
+    {
+      arrayFilters: [{ 'sender.userId': message.senderId }, { 'other.userId': { $ne: message.senderId } }],
+    }
+  );
+};
+
+function conversationFilter(message) {
+  return message.conversationId
+    ? { _id: message.conversationId }
+    : { directKey: directKey(message.senderId, message.receiverId) };
+}
+
+// Refresh the preview after the newest message was edited, unsent, hidden or unhidden
+conversationSchema.statics.refreshLastMessage = function (message) {
+  return this.updateOne(
+    { ...conversationFilter(message), 'lastMessage.messageId': message._id },
+    { $set: { lastMessage: lastMessageSnapshot(message) } }
+  );
+};
+
+// A member deleted a message for themselves; the preview keeps track if it is that one
+conversationSchema.statics.deleteMessageFor = function (message, userId) {
+  return this.updateOne(
+    { ...conversationFilter(message), 'lastMessage.messageId': message._id },
+    { $addToSet: { 'lastMessage.deletedFor': userId } }
+  );
+};
+
+// An unsent message no longer counts as unread for members who hadn't read it
+conversationSchema.statics.retractMessage = async function (message) {
+  await this.refreshLastMessage(message);
+  return this.updateOne(
+    conversationFilter(message),
+    { $inc: { 'members.$[m].unreadCount': -1 } },
+    {
+      arrayFilters: [
+        {
+          'm.userId': { $ne: message.senderId },
+          'm.lastReadAt': { $lt: message.createdAt },
+          'm.unreadCount': { $gt: 0 },
+        },
+      ],
+    }
+  );
+};
+
+conversationSchema.statics.markRead = function (conversationId, userId, at = new Date()) {
+  return this.findOneAndUpdate(
+    { _id: conversationId, 'members.userId': userId },
+    { $set: { 'members.$.lastReadAt': at, 'members.$.unreadCount': 0 } },
+    { new: true }
+  );
+};
+
+conversationSchema.methods.member = function (userId) {
+  return this.members.find((m) => m.userId.toString() === userId.toString());
+};
+
+conversationSchema.methods.isAdmin = function (userId) {
+  return this.member(userId)?.role === 'admin';
+};
+
+export default mongoose.model('Conversation', conversationSchema);
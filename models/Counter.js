@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Named atomic sequences, e.g. "gallery" or "profile:<userId>" for project ordering
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { collection: 'counter', versionKey: false }
+);
+
+counterSchema.statics.next = async function (key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Make sure the next value is above `seq`; never moves the counter back
+counterSchema.statics.raise = function (key, seq) {
+  return this.updateOne({ _id: key }, { $max: { seq } }, { upsert: true });
+};
+
+export default mongoose.model('Counter', counterSchema);
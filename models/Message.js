@@ -1,10 +1,57 @@
 import mongoose from 'mongoose';
 
+const attachmentSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true }, // storage id
+    url: { type: String, required: true },
+    resourceType: { type: String, enum: ['image', 'video', 'raw'], required: true },
+    kind: { type: String, enum: ['image', 'video', 'file'], required: true },
+    mimeType: { type: String },
+    name: { type: String, default: '' },
+    size: { type: Number, default: 0 },
+    thumbnailUrl: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const reactionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    emoji: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const messageSchema = new mongoose.Schema(
   {
     senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    receiverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    text: { type: String, required: true },
+    // Direct messages have a receiver; group messages a conversation instead
+    receiverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', default: null },
+    // Optional when the message carries attachments or was unsent
+    text: {
+      type: String,
+      default: '',
+      required: function () {
+        return !this.deletedForEveryone && !this.attachments?.length;
+      },
+    },
+    attachments: { type: [attachmentSchema], default: [] },
+    editedAt: { type: Date, default: null },
+    // Unsent by the sender: text and attachments are cleared, the placeholder stays
+    deletedForEveryone: { type: Boolean, default: false },
+    deletedAt: { type: Date, default: null },
+    // Users who removed the message from their own history
+    deletedFor: { type: [mongoose.Schema.Types.ObjectId], ref: 'User', default: [] },
+    // One reaction per user
+    reactions: { type: [reactionSchema], default: [] },
+    // Taken down by a moderator (or by reports): shown as a placeholder like an unsent message
+    hidden: { type: Boolean, default: false },
+    hiddenAt: { type: Date, default: null },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    hiddenReason: { type: String, default: '' },
+    // Direct messages only; group read state is members[].lastReadAt on the conversation
     read: { type: Boolean, default: false },
   },
   { timestamps: true, collection: 'user_message' }
@@ -12,5 +59,13 @@ const messageSchema = new mongoose.Schema(
 
 messageSchema.index({ senderId: 1, receiverId: 1, createdAt: -1 });
 messageSchema.index({ receiverId: 1, senderId: 1, createdAt: -1 });
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+
+messageSchema.pre('validate', function (next) {
+  if (!this.receiverId === !this.conversationId) {
+    return next(new Error('A message needs either a receiver or a conversation'));
+  }
+  next();
+});
 
 export default mongoose.model('Message', messageSchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+const notificationSchema = new mongoose.Schema(
+  {
+    // Recipient
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: {
+      type: String,
+      enum: ['like', 'comment', 'reply', 'follow_request', 'follow_accepted', 'message'],
+      required: true,
+    },
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+    commentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    followRequestId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    messageId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // Short text shown in the menu (comment or message excerpt)
+    preview: { type: String, default: '' },
+    // Unread messages from the same sender collapse into one notification
+    count: { type: Number, default: 1 },
+    read: { type: Boolean, default: false },
+  },
+  { timestamps: true, collection: 'user_notification' }
+);
+
+notificationSchema.index({ userId: 1, updatedAt: -1, _id: -1 });
+notificationSchema.index({ userId: 1, read: 1 });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// One pending code per email and purpose (signup, reset, ...). Only an HMAC of the
+// code is stored; MongoDB drops the document once it expires.
+const otpSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, lowercase: true, trim: true },
+    purpose: { type: String, required: true },
+    codeHash: { type: String, required: true },
+    attempts: { type: Number, default: 0 },
+    // Codes sent since the document was created, for the resend cap
+    sendCount: { type: Number, default: 1 },
+    lastSentAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, collection: 'user_otp' }
+);
+
+otpSchema.index({ email: 1, purpose: 1 }, { unique: true });
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Otp', otpSchema);
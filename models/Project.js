@@ -1,36 +1,67 @@
 import mongoose from 'mongoose';
 
+export const MEDIA_TEXT_MAX_LENGTH = 300;
+
 const mediaSchema = new mongoose.Schema({
   url: String,
   filename: String,
-}, { _id: false });
-
-const commentSchema = new mongoose.Schema(
-  {
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    userName: String,
-    text: { type: String, required: true },
-    createdAt: { type: Date, default: Date.now },
-  },
-  { _id: true }
-);
+  type: { type: String, enum: ['image', 'video'], default: 'image' },
+  caption: { type: String, default: '', trim: true, maxlength: MEDIA_TEXT_MAX_LENGTH },
+  alt: { type: String, default: '', trim: true, maxlength: MEDIA_TEXT_MAX_LENGTH },
+});
 
 const projectSchema = new mongoose.Schema(
   {
     title: { type: String, required: true, trim: true },
     description: { type: String, required: true, trim: true },
     media: { type: [mediaSchema], default: [] },
+    coverMediaId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // Front gallery position (admin curated); pinned projects come before all others
     order: { type: Number, default: 0 },
+    pinned: { type: Boolean, default: false },
+    pinnedAt: { type: Date, default: null },
+    // Position on the owner's profile, highest first
+    profileOrder: { type: Number, default: 0 },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Copied from the owner so the text index can cover them; kept in sync by PUT /api/users/me
+    ownerName: { type: String, default: '' },
+    ownerUsername: { type: String, default: '' },
     liveDemoUrl: { type: String, default: '' },
     codeUrl: { type: String, default: '' },
     likes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    comments: [commentSchema],
+    // Comments live in their own collection (models/Comment.js)
+    commentsLocked: { type: Boolean, default: false },
     savedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Bumped on every edit; previous versions live in project_revision
+    version: { type: Number, default: 1 },
+    editedAt: { type: Date, default: null },
+    // Denormalised counts so lists can sort/paginate without loading the arrays
+    likeCount: { type: Number, default: 0 },
+    commentCount: { type: Number, default: 0 },
+    // Taken down by a moderator (or by reports, see services/reports.js): only the owner and staff still see it
+    hidden: { type: Boolean, default: false },
+    hiddenAt: { type: Date, default: null },
+    // Null when hidden automatically
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    hiddenReason: { type: String, default: '' },
   },
   { timestamps: true, collection: 'project_card' }
 );
 
+// Indexes backing the gallery sort modes (see PROJECT_SORTS in server.js)
+projectSchema.index({ pinned: -1, order: 1, createdAt: -1, _id: -1 });
+projectSchema.index({ createdAt: -1, _id: -1 });
+projectSchema.index({ likeCount: -1, createdAt: -1, _id: -1 });
+projectSchema.index({ commentCount: -1, createdAt: -1, _id: -1 });
+projectSchema.index({ userId: 1, createdAt: -1 });
+projectSchema.index({ userId: 1, profileOrder: -1, createdAt: -1, _id: -1 });
+
+// Backs GET /api/projects/search
+projectSchema.index(
+  { title: 'text', description: 'text', ownerName: 'text', ownerUsername: 'text' },
+  { name: 'project_search', weights: { title: 10, ownerUsername: 5, ownerName: 5, description: 1 } }
+);
+
 projectSchema.set('toJSON', {
   virtuals: true,
   transform: (doc, ret) => {
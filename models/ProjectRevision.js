@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+// Revisions hold the state of a project *before* an edit, so any of them can be restored
+const MAX_REVISIONS_PER_PROJECT = 50;
+
+const revisionMediaSchema = new mongoose.Schema(
+  {
+    _id: mongoose.Schema.Types.ObjectId,
+    url: String,
+    filename: String,
+    type: String,
+    caption: String,
+    alt: String,
+  },
+  { _id: false }
+);
+
+const projectRevisionSchema = new mongoose.Schema(
+  {
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    editorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    version: { type: Number, required: true },
+    // What the edit that replaced this version did: edit | media | restore
+    action: { type: String, enum: ['edit', 'media', 'restore'], default: 'edit' },
+    title: String,
+    description: String,
+    liveDemoUrl: String,
+    codeUrl: String,
+    media: { type: [revisionMediaSchema], default: [] },
+    coverMediaId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, collection: 'project_revision' }
+);
+
+projectRevisionSchema.index({ projectId: 1, version: -1 }, { unique: true });
+
+// Apply `change` to the project and save it, keeping the state before the change as
+// a revision and bumping the version. The project is validated before the revision
+// is written, and the revision is dropped again if the save still fails, so a
+// rejected edit never leaves a revision for a version the project didn't reach.
+projectRevisionSchema.statics.saveWithRevision = async function (project, editorId, action, change) {
+  const snapshot = {
+    projectId: project._id,
+    editorId,
+    version: project.version || 1,
+    action,
+    title: project.title,
+    description: project.description,
+    liveDemoUrl: project.liveDemoUrl,
+    codeUrl: project.codeUrl,
+    media: project.media.map((m) => (m.toObject ? m.toObject() : m)),
+    coverMediaId: project.coverMediaId,
+  };
+  change(project);
+  await project.validate();
+
+  const revision = await this.create(snapshot);
+  project.version = revision.version + 1;
+  project.editedAt = new Date();
+  try {
+    await project.save();
+  } catch (err) {
+    await this.deleteOne({ _id: revision._id });
+    throw err;
+  }
+
+  const stale = await this.find({ projectId: project._id })
+    .sort({ version: -1 })
+    .skip(MAX_REVISIONS_PER_PROJECT)
+    .select('_id')
+    .lean();
+  if (stale.length) {
+    await this.deleteMany({ _id: { $in: stale.map((r) => r._id) } });
+  }
+  return revision;
+};
+
+projectRevisionSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+export default mongoose.model('ProjectRevision', projectRevisionSchema);
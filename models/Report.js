@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+export const REPORT_REASONS = ['spam', 'harassment', 'hate', 'nudity', 'violence', 'impersonation', 'scam', 'other'];
+export const REPORT_TARGET_TYPES = ['project', 'comment', 'user_card', 'message'];
+
+// A user flagging a project, comment, user card or message. Each user can report a
+// given item once; moderators resolve all open reports on an item together.
+const reportSchema = new mongoose.Schema(
+  {
+    reporterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    targetType: { type: String, enum: REPORT_TARGET_TYPES, required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // Author of the reported content, so a moderator can look at their history
+    targetOwnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reason: { type: String, enum: REPORT_REASONS, required: true },
+    details: { type: String, default: '', maxlength: 1000 },
+    status: { type: String, enum: ['open', 'resolved', 'dismissed'], default: 'open' },
+    // What the moderator did: hide, remove or dismiss
+    resolution: { type: String, default: null },
+    resolutionNote: { type: String, default: '' },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    resolvedAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: 'content_report' }
+);
+
+reportSchema.index({ reporterId: 1, targetType: 1, targetId: 1 }, { unique: true });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+reportSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('Report', reportSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// One signed-in device. Access tokens carry the session id (`sid`) and stop working
+// once the session is revoked or expires; the refresh token is stored hashed and
+// replaced on every refresh.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true },
+    // Hash of the token this one replaced; seeing it again means it was stolen
+    previousTokenHash: { type: String, default: null },
+    userAgent: { type: String, default: '' },
+    device: { type: String, default: 'Unknown device' },
+    ip: { type: String, default: '' },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    // One-time ticket for opening an event stream (EventSource can't send headers)
+    streamTicketHash: { type: String, default: null },
+    streamTicketExpiresAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: 'user_session' }
+);
+
+sessionSchema.index({ userId: 1, lastSeenAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model('Session', sessionSchema);
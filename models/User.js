@@ -8,12 +8,49 @@ const userSchema = new mongoose.Schema(
     email: { type: String, required: true, unique: true, lowercase: true, trim: true },
     password: { type: String, minlength: 6, default: null },
     profilePhoto: { type: String, default: null },
+    // Storage id of an uploaded avatar (null for external URLs such as Google's)
+    profilePhotoId: { type: String, default: null },
     bio: { type: String, default: '', trim: true, maxlength: 500 },
     emailVerified: { type: Boolean, default: false },
     googleId: { type: String, default: null, sparse: true },
+    githubId: { type: String, default: null, sparse: true },
     followers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     following: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     connections: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Moderators handle content and suspensions; admins can also ban and assign roles
+    role: { type: String, enum: ['user', 'moderator', 'admin'], default: 'user' },
+    // Suspended and banned accounts can't sign in or use the API (middleware/auth.js).
+    // A suspension with suspendedUntil lifts itself once that passes.
+    status: { type: String, enum: ['active', 'suspended', 'banned'], default: 'active' },
+    suspendedUntil: { type: Date, default: null },
+    statusReason: { type: String, default: '' },
+    // Blocked users can't message, follow or comment on this user, and don't see their profile
+    blocked: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Muted users can still interact but don't trigger notifications or emails
+    muted: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Who may start direct messages with this user
+    messagePrivacy: { type: String, enum: ['everyone', 'connections', 'followers'], default: 'everyone' },
+    // New address waiting for OTP confirmation (POST /api/users/me/email)
+    pendingEmail: { type: String, default: null, lowercase: true, trim: true },
+    // Set while an account deletion is pending; purged after scheduledFor
+    deletion: {
+      requestedAt: { type: Date, default: null },
+      scheduledFor: { type: Date, default: null },
+    },
+    // TOTP two-factor auth. Secrets are encrypted (services/totp.js) and, like the
+    // recovery code hashes, never selected unless asked for.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date, default: null },
+      secret: { type: String, default: null, select: false },
+      // Set by /2fa/setup until confirmed by /2fa/enable
+      pendingSecret: { type: String, default: null, select: false },
+      recoveryCodes: { type: [String], default: [], select: false },
+      // Last TOTP step accepted, so a code can't be used twice
+      lastUsedStep: { type: Number, default: -1, select: false },
+      failedAttempts: { type: Number, default: 0, select: false },
+      lockedUntil: { type: Date, default: null, select: false },
+    },
   },
   { timestamps: true, collection: 'project_user' }
 );
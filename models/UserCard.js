@@ -81,6 +81,25 @@ const userCardSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+
+    // Taken down by a moderator (or by reports, see services/reports.js)
+    hidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    hiddenReason: {
+      type: String,
+      default: '',
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,621 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import User from '../models/User.js';
+import Project from '../models/Project.js';
+import Comment from '../models/Comment.js';
+import AuditLog from '../models/AuditLog.js';
+import Report, { REPORT_TARGET_TYPES } from '../models/Report.js';
+import { ROLES, STAFF_ROLES, recordAudit, hideContent, unhideContent } from '../services/moderation.js';
+import { removeProject, removeComment } from '../services/contentRemoval.js';
+import { revokeSessions } from '../services/sessions.js';
+import { REPORT_TARGETS, resolveReports } from '../services/reports.js';
+import { formatMedia } from '../services/media.js';
+import { parseLimit, encodeCursor, decodeCursor, buildCursorFilter, paginate } from '../utils/pagination.js';
+import { escapeRegExp } from '../utils/highlight.js';
+
+// Moderation API. Moderators can hide and delete content and suspend regular users;
+// banning and role changes are admin only. Every action goes to the audit log.
+const router = express.Router();
+router.use(authenticateToken, requireRole(...STAFF_ROLES));
+
+const NEWEST_FIRST = [['createdAt', -1], ['_id', -1]];
+const MAX_REASON_LENGTH = 500;
+const MAX_SUSPENSION_DAYS = 365;
+const STATUSES = ['active', 'suspended', 'banned'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+function parseBoolean(value) {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+}
+
+// Page of `Model` docs matching `filter`, newest first, continuing from ?cursor=.
+// Null for a bad cursor.
+function pageNewestFirst(Model, filter, req, select = (q) => q) {
+  if (req.query.cursor) {
+    const values = decodeCursor(req.query.cursor);
+    if (!values || values.length !== NEWEST_FIRST.length) return null;
+    filter = { $and: [filter, buildCursorFilter(NEWEST_FIRST, values)] };
+  }
+  return paginate(select(Model.find(filter).lean()), { sortSpec: NEWEST_FIRST, limit: parseLimit(req.query.limit) });
+}
+
+// Trimmed free-text reason or note; null (after responding) when it is too long
+function readReason(value, res) {
+  const reason = typeof value === 'string' ? value.trim() : '';
+  if (reason.length > MAX_REASON_LENGTH) {
+    res.status(400).json({ error: `Reason can be at most ${MAX_REASON_LENGTH} characters` });
+    return null;
+  }
+  return reason;
+}
+
+// Populated user, or just the id when it wasn't populated
+function userRef(u) {
+  if (!u) return null;
+  return u.name !== undefined ? { id: u._id.toString(), name: u.name, username: u.username || '' } : { id: u.toString() };
+}
+
+/* ---------- Users ---------- */
+
+function formatAdminUser(u) {
+  return {
+    id: u._id.toString(),
+    name: u.name,
+    username: u.username || '',
+    email: u.email,
+    profilePhoto: u.profilePhoto || null,
+    role: u.role,
+    status: u.status || 'active',
+    suspendedUntil: u.suspendedUntil || null,
+    statusReason: u.statusReason || '',
+    emailVerified: !!u.emailVerified,
+    deletionScheduledFor: u.deletion?.scheduledFor || null,
+    createdAt: u.createdAt,
+  };
+}
+
+const ADMIN_USER_FIELDS =
+  'name username email profilePhoto role status suspendedUntil statusReason emailVerified deletion createdAt';
+
+// Loads req.target. Nobody moderates themselves, and only admins act on staff.
+async function loadTargetUser(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const target = await User.findById(req.params.id).select(ADMIN_USER_FIELDS);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    if (target._id.equals(req.user._id)) {
+      return res.status(400).json({ error: "You can't moderate your own account" });
+    }
+    if (STAFF_ROLES.includes(target.role) && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can moderate staff accounts' });
+    }
+    req.target = target;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// List and search users. Query: q (name, username or email), role, status, limit, cursor
+router.get('/users', async (req, res) => {
+  try {
+    const filter = {};
+    const q = req.query.q?.trim();
+    if (q) {
+      const pattern = new RegExp(escapeRegExp(q), 'i');
+      filter.$or = [{ name: pattern }, { username: pattern }, { email: pattern }];
+    }
+    if (req.query.role) {
+      if (!ROLES.includes(req.query.role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+      }
+      filter.role = req.query.role;
+    }
+    if (req.query.status) {
+      if (!STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+
+    const page = await pageNewestFirst(User, filter, req, (query) => query.select(ADMIN_USER_FIELDS));
+    if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+    res.json({ users: page.items.map(formatAdminUser), nextCursor: page.nextCursor, hasMore: page.hasMore });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// One user with their content counts and the latest moderation actions against them
+router.get('/users/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    const user = await User.findById(req.params.id).select(ADMIN_USER_FIELDS).lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const [projectCount, hiddenProjectCount, commentCount, history] = await Promise.all([
+      Project.countDocuments({ userId: user._id }),
+      Project.countDocuments({ userId: user._id, hidden: true }),
+      Comment.countDocuments({ userId: user._id, deleted: false }),
+      AuditLog.find({ targetType: 'user', targetId: user._id })
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .populate('actorId', 'name username')
+        .lean(),
+    ]);
+    res.json({
+      ...formatAdminUser(user),
+      projectCount,
+      hiddenProjectCount,
+      commentCount,
+      history: history.map(formatAuditEntry),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Suspend a user. Body: { reason?, days? } - without days it lasts until reinstated
+router.post('/users/:id/suspend', loadTargetUser, async (req, res) => {
+  try {
+    if (req.target.status === 'banned') {
+      return res.status(400).json({ error: 'User is banned' });
+    }
+    const reason = readReason(req.body?.reason, res);
+    if (reason === null) return;
+    let suspendedUntil = null;
+    if (req.body.days !== undefined) {
+      const days = Number(req.body.days);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_SUSPENSION_DAYS) {
+        return res.status(400).json({ error: `days must be a whole number from 1 to ${MAX_SUSPENSION_DAYS}` });
+      }
+      suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const previousStatus = req.target.status;
+    Object.assign(req.target, { status: 'suspended', suspendedUntil, statusReason: reason });
+    await req.target.save();
+    await revokeSessions({ userId: req.target._id });
+    await recordAudit(req.user, 'user.suspend', { type: 'user', id: req.target._id }, {
+      reason,
+      details: { previousStatus, suspendedUntil },
+    });
+    res.json({ user: formatAdminUser(req.target) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Ban a user (admin). Body: { reason? }
+router.post('/users/:id/ban', requireRole('admin'), loadTargetUser, async (req, res) => {
+  try {
+    const reason = readReason(req.body?.reason, res);
+    if (reason === null) return;
+    const previousStatus = req.target.status;
+    Object.assign(req.target, { status: 'banned', suspendedUntil: null, statusReason: reason });
+    await req.target.save();
+    await revokeSessions({ userId: req.target._id });
+    await recordAudit(req.user, 'user.ban', { type: 'user', id: req.target._id }, {
+      reason,
+      details: { previousStatus },
+    });
+    res.json({ user: formatAdminUser(req.target) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Lift a suspension or ban. Lifting a ban is admin only. Body: { reason? }
+router.post('/users/:id/reinstate', loadTargetUser, async (req, res) => {
+  try {
+    const reason = readReason(req.body?.reason, res);
+    if (reason === null) return;
+    const previousStatus = req.target.status;
+    if (previousStatus === 'active') return res.status(400).json({ error: 'User is not suspended or banned' });
+    if (previousStatus === 'banned' && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can lift a ban' });
+    }
+    Object.assign(req.target, { status: 'active', suspendedUntil: null, statusReason: '' });
+    await req.target.save();
+    await recordAudit(req.user, 'user.reinstate', { type: 'user', id: req.target._id }, {
+      reason,
+      details: { previousStatus },
+    });
+    res.json({ user: formatAdminUser(req.target) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change a user's role (admin). Body: { role: 'user' | 'moderator' | 'admin', reason? }
+router.put('/users/:id/role', requireRole('admin'), loadTargetUser, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    const reason = readReason(req.body?.reason, res);
+    if (reason === null) return;
+    const previousRole = req.target.role;
+    if (previousRole === role) return res.json({ user: formatAdminUser(req.target) });
+
+    req.target.role = role;
+    await req.target.save();
+    await recordAudit(req.user, 'user.role', { type: 'user', id: req.target._id }, {
+      reason,
+      details: { from: previousRole, to: role },
+    });
+    res.json({ user: formatAdminUser(req.target) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ---------- Projects ---------- */
+
+function formatAdminProject(p) {
+  return {
+    id: p._id.toString(),
+    title: p.title,
+    description: p.description,
+    media: (p.media || []).map(formatMedia),
+    user: userRef(p.userId),
+    likeCount: p.likeCount || 0,
+    commentCount: p.commentCount || 0,
+    hidden: !!p.hidden,
+    hiddenAt: p.hiddenAt || null,
+    hiddenReason: p.hiddenReason || '',
+    createdAt: p.createdAt,
+  };
+}
+
+const ADMIN_PROJECT_FIELDS =
+  'title description media userId likeCount commentCount hidden hiddenAt hiddenReason createdAt';
+
+async function loadProject(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    req.project = await Project.findById(req.params.id);
+    if (!req.project) return res.status(404).json({ error: 'Project not found' });
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// List and search projects, hidden ones included. Query: q, owner (user id), hidden, limit, cursor
+router.get('/projects', async (req, res) => {
+  try {
+    const filter = {};
+    const q = req.query.q?.trim();
+    if (q) filter.$text = { $search: q };
+    if (req.query.owner) {
+      if (!mongoose.isValidObjectId(req.query.owner)) return res.status(400).json({ error: 'Invalid owner' });
+      filter.userId = req.query.owner;
+    }
+    const hidden = parseBoolean(req.query.hidden);
+    if (hidden !== undefined) filter.hidden = hidden ? true : { $ne: true };
+
+    const page = await pageNewestFirst(Project, filter, req, (query) =>
+      query.select(ADMIN_PROJECT_FIELDS).populate('userId', 'name username')
+    );
+    if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+    res.json({ projects: page.items.map(formatAdminProject), nextCursor: page.nextCursor, hasMore: page.hasMore });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Take a project down. The owner still sees it, flagged as hidden. Body: { reason? }
+router.post('/projects/:id/hide', loadProject, async (req, res) => {
+  try {
+    const reason = readReason(req.body?.reason, res);
+    if (reason === null) return;
+    await hideContent(req.project, { by: req.user, reason });
+    await recordAudit(req.user, 'project.hide', { type: 'project', id: req.project._id }, { reason });
+    res.json({ project: formatAdminProject(req.project) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/projects/:id/unhide', loadProject, async (req, res) => {
+  try {
+    const reason = readReason(req.body?.reason, res);
+    if (reason === null) return;
+    if (!req.project.hidden) return res.status(400).json({ error: 'Project is not hidden' });
+    await unhideContent(req.project);
+    await recordAudit(req.user, 'project.unhide', { type: 'project', id: req.project._id }, { reason });
+    res.json({ project: formatAdminProject(req.project) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a project outright, as its owner could. Body: { reason? }
+router.delete('/projects/:id', loadProject, async (req, res) => {
+  try {
+    const reason = readReason(req.body?.reason, res);
+    if (reason === null) return;
+    const { project } = req;
+    await removeProject(project);
+    await recordAudit(req.user, 'project.delete', { type: 'project', id: project._id }, {
+      reason,
+      details: { title: project.title, ownerId: project.userId },
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ---------- Comments ---------- */
+
+function formatAdminComment(c) {
+  return {
+    id: c._id.toString(),
+    projectId: c.projectId?.toString() || null,
+    parentId: c.parentId?.toString() || null,
+    user: userRef(c.userId),
+    text: c.text || '',
+    deleted: !!c.deleted,
+    hidden: !!c.hidden,
+    hiddenAt: c.hiddenAt || null,
+    hiddenReason: c.hiddenReason || '',
+    createdAt: c.createdAt,
+  };
+}
+
+async function loadComment(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+    req.comment = await Comment.findById(req.params.id);
+    if (!req.comment || req.comment.deleted) return res.status(404).json({ error: 'Comment not found' });
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// List comments, hidden ones included. Query: projectId, userId, hidden, limit, cursor
+router.get('/comments', async (req, res) => {
+  try {
+    const filter = { deleted: false };
+    for (const key of ['projectId', 'userId']) {
+      if (!req.query[key]) continue;
+      if (!mongoose.isValidObjectId(req.query[key])) return res.status(400).json({ error: `Invalid ${key}` });
+      filter[key] = req.query[key];
+    }
+    const hidden = parseBoolean(req.query.hidden);
+    if (hidden !== undefined) filter.hidden = hidden ? true : { $ne: true };
+
+    const page = await pageNewestFirst(Comment, filter, req, (query) => query.populate('userId', 'name username'));
+    if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+    res.json({ comments: page.items.map(formatAdminComment), nextCursor: page.nextCursor, hasMore: page.hasMore });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/comments/:id/hide', loadComment, async (req, res) => {
+  try {
+    const reason = readReason(req.body?.reason, res);
+    if (reason === null) return;
+    await hideContent(req.comment, { by: req.user, reason });
+    await recordAudit(req.user, 'comment.hide', { type: 'comment', id: req.comment._id }, { reason });
+    res.json({ comment: formatAdminComment(req.comment) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/comments/:id/unhide', loadComment, async (req, res) => {
+  try {
+    const reason = readReason(req.body?.reason, res);
+    if (reason === null) return;
+    if (!req.comment.hidden) return res.status(400).json({ error: 'Comment is not hidden' });
+    await unhideContent(req.comment);
+    await recordAudit(req.user, 'comment.unhide', { type: 'comment', id: req.comment._id }, { reason });
+    res.json({ comment: formatAdminComment(req.comment) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a comment the way its author could. The text is kept in the audit entry.
+router.delete('/comments/:id', loadComment, async (req, res) => {
+  try {
+    const reason = readReason(req.body?.reason, res);
+    if (reason === null) return;
+    const { comment } = req;
+    const snapshot = { text: comment.text, userId: comment.userId, projectId: comment.projectId };
+    const commentCount = await removeComment(comment);
+    await recordAudit(req.user, 'comment.delete', { type: 'comment', id: comment._id }, { reason, details: snapshot });
+    res.json({ success: true, commentCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ---------- Reports ---------- */
+
+// What a moderator needs to judge each reported item, keyed by "type:id". Items that
+// no longer exist are left out.
+async function reportedItems(keys) {
+  const items = new Map();
+  for (const type of REPORT_TARGET_TYPES) {
+    const ids = keys.filter((k) => k.targetType === type).map((k) => k.targetId);
+    if (!ids.length) continue;
+    const { Model, preview } = REPORT_TARGETS[type];
+    for (const doc of await Model.find({ _id: { $in: ids } }).lean()) {
+      items.set(`${type}:${doc._id}`, { ...preview(doc), hidden: !!doc.hidden, hiddenReason: doc.hiddenReason || '' });
+    }
+  }
+  return items;
+}
+
+function parseReportTarget(req, res) {
+  const { targetType, targetId } = req.params;
+  if (!REPORT_TARGET_TYPES.includes(targetType)) {
+    res.status(400).json({ error: `targetType must be one of: ${REPORT_TARGET_TYPES.join(', ')}` });
+    return null;
+  }
+  if (!mongoose.isValidObjectId(targetId)) {
+    res.status(400).json({ error: 'Invalid id' });
+    return null;
+  }
+  return { targetType, targetId: new mongoose.Types.ObjectId(targetId) };
+}
+
+// The review queue: reported items, most reported first. Query: status (default open),
+// targetType, limit, cursor
+router.get('/reports', async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    if (!REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+    }
+    const match = { status };
+    if (req.query.targetType) {
+      if (!REPORT_TARGET_TYPES.includes(req.query.targetType)) {
+        return res.status(400).json({ error: `targetType must be one of: ${REPORT_TARGET_TYPES.join(', ')}` });
+      }
+      match.targetType = req.query.targetType;
+    }
+    const limit = parseLimit(req.query.limit);
+    // Counts change as reports come in, so the cursor carries an offset
+    let offset = 0;
+    if (req.query.cursor) {
+      const values = decodeCursor(req.query.cursor);
+      if (!values || values.length !== 1 || !Number.isInteger(values[0]) || values[0] < 0) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      [offset] = values;
+    }
+
+    const groups = await Report.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { targetType: '$targetType', targetId: '$targetId' },
+          reportCount: { $sum: 1 },
+          reasons: { $addToSet: '$reason' },
+          targetOwnerId: { $first: '$targetOwnerId' },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' },
+        },
+      },
+      { $sort: { reportCount: -1, lastReportedAt: -1, '_id.targetId': -1 } },
+      { $skip: offset },
+      { $limit: limit + 1 },
+    ]);
+    const hasMore = groups.length > limit;
+    if (hasMore) groups.pop();
+
+    const items = await reportedItems(groups.map((g) => g._id));
+    res.json({
+      items: groups.map((g) => ({
+        targetType: g._id.targetType,
+        targetId: g._id.targetId.toString(),
+        targetOwnerId: g.targetOwnerId?.toString() || null,
+        reportCount: g.reportCount,
+        reasons: g.reasons,
+        firstReportedAt: g.firstReportedAt,
+        lastReportedAt: g.lastReportedAt,
+        content: items.get(`${g._id.targetType}:${g._id.targetId}`) || null,
+      })),
+      nextCursor: hasMore ? encodeCursor([offset + groups.length]) : null,
+      hasMore,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Every report on one item, newest first, with the item itself
+router.get('/reports/:targetType/:targetId', async (req, res) => {
+  try {
+    const target = parseReportTarget(req, res);
+    if (!target) return;
+    const [reports, items] = await Promise.all([
+      Report.find(target).sort({ createdAt: -1 }).populate('reporterId', 'name username').lean(),
+      reportedItems([target]),
+    ]);
+    if (!reports.length) return res.status(404).json({ error: 'No reports for this item' });
+    res.json({
+      targetType: target.targetType,
+      targetId: target.targetId.toString(),
+      content: items.get(`${target.targetType}:${target.targetId}`) || null,
+      reports: reports.map((r) => ({
+        id: r._id.toString(),
+        reporter: userRef(r.reporterId),
+        reason: r.reason,
+        details: r.details || '',
+        status: r.status,
+        resolution: r.resolution || null,
+        resolutionNote: r.resolutionNote || '',
+        resolvedAt: r.resolvedAt || null,
+        createdAt: r.createdAt,
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Resolve all open reports on an item. Body: { action: 'dismiss' | 'hide' | 'remove', note? }
+router.post('/reports/:targetType/:targetId/resolve', async (req, res) => {
+  try {
+    const target = parseReportTarget(req, res);
+    if (!target) return;
+    const note = readReason(req.body.note, res);
+    if (note === null) return;
+    const { resolved, status, error } = await resolveReports(req.user, target.targetType, target.targetId, {
+      action: req.body.action,
+      note,
+    });
+    if (error) return res.status(status).json({ error });
+    res.json({ success: true, resolved });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ---------- Audit log ---------- */
+
+function formatAuditEntry(e) {
+  return {
+    id: e._id.toString(),
+    actor: userRef(e.actorId),
+    action: e.action,
+    targetType: e.targetType,
+    targetId: e.targetId.toString(),
+    reason: e.reason || '',
+    details: e.details || null,
+    createdAt: e.createdAt,
+  };
+}
+
+// Moderation history, newest first. Query: actorId, targetType, targetId, action, limit, cursor
+router.get('/audit-log', async (req, res) => {
+  try {
+    const filter = {};
+    for (const key of ['actorId', 'targetId']) {
+      if (!req.query[key]) continue;
+      if (!mongoose.isValidObjectId(req.query[key])) return res.status(400).json({ error: `Invalid ${key}` });
+      filter[key] = req.query[key];
+    }
+    if (req.query.targetType) filter.targetType = String(req.query.targetType);
+    if (req.query.action) filter.action = String(req.query.action);
+
+    const page = await pageNewestFirst(AuditLog, filter, req, (query) => query.populate('actorId', 'name username'));
+    if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+    res.json({ entries: page.items.map(formatAuditEntry), nextCursor: page.nextCursor, hasMore: page.hasMore });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
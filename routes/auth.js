@@ -1,74 +1,216 @@
+import crypto from 'crypto';
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
+import { Strategy as GitHubStrategy } from 'passport-github2';
 import User from '../models/User.js';
-import { sendOtpEmail } from '../services/email.js';
+import Session from '../models/Session.js';
+import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import { sendOtpEmail, sendPasswordResetEmail, sendPasswordChangedEmail } from '../services/email.js';
+import { issueOtp, verifyOtp, discardOtp } from '../services/otp.js';
+import {
+  generateSecret,
+  otpauthUrl,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+} from '../services/totp.js';
+import {
+  createSession,
+  createSignInCode,
+  redeemSignInCode,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSessions,
+} from '../services/sessions.js';
+import { accountRestriction } from '../services/moderation.js';
+import { TWO_FACTOR_FIELDS, attemptSecondFactor } from '../services/twoFactor.js';
+import { sendConfirmationCode, confirmIdentity } from '../services/reauth.js';
 
 const router = express.Router();
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 
+// OAuth providers: the User field holding the provider's account id, and the
+// env vars that enable it
+const PROVIDERS = {
+  google: { label: 'Google', idField: 'googleId', clientId: 'GOOGLE_CLIENT_ID', clientSecret: 'GOOGLE_CLIENT_SECRET' },
+  github: { label: 'GitHub', idField: 'githubId', clientId: 'GITHUB_CLIENT_ID', clientSecret: 'GITHUB_CLIENT_SECRET' },
+};
+// Signed `state` for an OAuth round trip that links a provider to a signed-in user
+const LINK_STATE_TTL = '10m';
+// The state is only honoured in the browser that asked for it: it carries a hash of
+// a nonce kept in this httpOnly cookie
+const LINK_NONCE_COOKIE = 'oauth_link_nonce';
+const LINK_NONCE_MAX_AGE_MS = 10 * 60 * 1000;
+
+function hashNonce(nonce) {
+  return crypto.createHash('sha256').update(nonce).digest('hex');
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+function providerConfigured(provider) {
+  const p = PROVIDERS[provider];
+  return !!(p && process.env[p.clientId] && process.env[p.clientSecret]);
+}
+
+async function uniqueUsername(base) {
+  const baseUsername = base.toLowerCase().replace(/[^a-z0-9_.]/g, '');
+  let username = baseUsername.slice(0, 20) || 'user';
+  let exists = await User.findOne({ username });
+  let suffix = 0;
+  while (exists) {
+    suffix += 1;
+    username = `${baseUsername.slice(0, 15)}${suffix}`;
+    exists = await User.findOne({ username });
+  }
+  return username;
+}
+
+// Link the provider account to the user named in a link `state`, if `nonce` (from
+// this browser's cookie) is the one the state was issued with
+async function linkProvider(provider, profile, state, nonce) {
+  let decoded;
+  try {
+    decoded = jwt.verify(state, process.env.JWT_SECRET);
+  } catch {
+    return { message: 'Linking expired. Please try again.' };
+  }
+  if (decoded.purpose !== 'link' || decoded.provider !== provider) return { message: 'Invalid link request' };
+  if (!nonce || hashNonce(nonce) !== decoded.nonce) {
+    return { message: 'Linking was started in another browser. Please try again.' };
+  }
+
+  const { idField, label } = PROVIDERS[provider];
+  const owner = await User.findOne({ [idField]: profile.id }).select('_id');
+  if (owner && owner._id.toString() !== decoded.userId) {
+    return { message: `This ${label} account is already linked to another user` };
+  }
+  const user = await User.findByIdAndUpdate(decoded.userId, { [idField]: profile.id }, { new: true });
+  if (!user) return { message: 'User not found' };
+  return { user, linked: true };
+}
+
+// The provider's primary email, only when the provider has verified it. GitHub (with
+// allRawEmails) lists every address with primary/verified flags; Google sends one
+// with `verified`. Without one the account gets a placeholder address, so nobody can
+// sign up with an address they don't control.
+function verifiedEmail(profile) {
+  const emails = profile.emails || [];
+  const entry = emails.find((e) => e.primary) || (emails.length === 1 ? emails[0] : null);
+  if (!entry?.value || (entry.verified !== true && entry.verified !== 'true')) return null;
+  return entry.value.toLowerCase().trim();
+}
+
+// Shared verify callback. Signs in the user linked to the provider account, or signs
+// up a new one. An existing account with the same email is never linked implicitly:
+// its owner has to sign in and link the provider from their settings.
+function oauthVerify(provider) {
+  return async (req, accessToken, refreshToken, profile, done) => {
+    try {
+      const { idField, label } = PROVIDERS[provider];
+      if (req.query.state) {
+        const result = await linkProvider(provider, profile, req.query.state, readCookie(req, LINK_NONCE_COOKIE));
+        return result.user ? done(null, result.user, { linked: true }) : done(null, false, result);
+      }
+
+      let user = await User.findOne({ [idField]: profile.id });
+      if (user) return done(null, user);
+
+      const email = verifiedEmail(profile);
+      if (email && (await User.exists({ email }))) {
+        return done(null, false, {
+          message: `An account with this email already exists. Sign in and link ${label} from your account settings.`,
+        });
+      }
+
+      const name = profile.displayName?.trim() || profile.name?.givenName || profile.username || 'User';
+      const photo = profile.photos?.[0]?.value;
+      user = await User.create({
+        name,
+        username: await uniqueUsername(profile.username || (email ? email.split('@')[0] : name.replace(/\s+/g, '_'))),
+        email: email || `${profile.id}@${provider}.placeholder`,
+        [idField]: profile.id,
+        emailVerified: !!email,
+        profilePhoto: photo || null,
+      });
+      return done(null, user);
+    } catch (err) {
+      return done(err, null);
+    }
+  };
+}
+
 export function initPassport() {
-  if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
+  const backendUrl = process.env.BACKEND_URL || 'http://localhost:4000';
+  if (providerConfigured('google')) {
+    passport.use(
+      new GoogleStrategy(
+        {
+          clientID: process.env.GOOGLE_CLIENT_ID,
+          clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+          callbackURL: `${backendUrl}/api/auth/google/callback`,
+          scope: ['profile', 'email'],
+          passReqToCallback: true,
+        },
+        oauthVerify('google')
+      )
+    );
+  } else {
     console.warn('Google OAuth not configured (GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET). Sign in with Google disabled.');
-    return;
   }
-  passport.use(
-    new GoogleStrategy(
-      {
-        clientID: process.env.GOOGLE_CLIENT_ID,
-        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-        callbackURL: `${process.env.BACKEND_URL || 'http://localhost:4000'}/api/auth/google/callback`,
-        scope: ['profile', 'email'],
-      },
-      async (accessToken, refreshToken, profile, done) => {
-        try {
-          const email = profile.emails?.[0]?.value?.toLowerCase().trim();
-          const name = profile.displayName?.trim() || profile.name?.givenName || 'User';
-          const photo = profile.photos?.[0]?.value;
-          let user = await User.findOne({ googleId: profile.id });
-          if (user) {
-            return done(null, user);
-          }
-          user = await User.findOne({ email });
-          if (user) {
-            user.googleId = profile.id;
-            if (photo) user.profilePhoto = photo;
-            await user.save();
-            return done(null, user);
-          }
-          const baseUsername = (email ? email.split('@')[0] : name.replace(/\s+/g, '_')).toLowerCase().replace(/[^a-z0-9_.]/g, '');
-          let username = baseUsername.slice(0, 20) || 'user';
-          let exists = await User.findOne({ username });
-          let suffix = 0;
-          while (exists) {
-            suffix += 1;
-            username = `${baseUsername.slice(0, 15)}${suffix}`;
-            exists = await User.findOne({ username });
-          }
-          user = await User.create({
-            name,
-            username,
-            email: email || `${profile.id}@google.placeholder`,
-            googleId: profile.id,
-            emailVerified: !!email,
-            profilePhoto: photo || null,
-          });
-          return done(null, user);
-        } catch (err) {
-          return done(err, null);
-        }
-      }
-    )
-  );
+  if (providerConfigured('github')) {
+    passport.use(
+      new GitHubStrategy(
+        {
+          clientID: process.env.GITHUB_CLIENT_ID,
+          clientSecret: process.env.GITHUB_CLIENT_SECRET,
+          callbackURL: `${backendUrl}/api/auth/github/callback`,
+          scope: ['user:email'],
+          allRawEmails: true,
+          passReqToCallback: true,
+        },
+        oauthVerify('github')
+      )
+    );
+  } else {
+    console.warn('GitHub OAuth not configured (GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET). Sign in with GitHub disabled.');
+  }
 }
 
-// In-memory OTP store: { email: { otp, expiresAt } }
-const otpStore = new Map();
-const OTP_EXPIRY_MS = 10 * 60 * 1000;
+// Password (or OAuth) sign-in for an account with 2FA only yields this short-lived
+// challenge; POST /2fa/verify exchanges it plus a code for a session
+const CHALLENGE_TTL = '5m';
 
-function generateOtp() {
-  return String(Math.floor(100000 + Math.random() * 900000));
+function twoFactorChallenge(user) {
+  return jwt.sign({ userId: user._id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+}
+
+function formatAuthUser(user) {
+  return {
+    id: user._id.toString(),
+    name: user.name,
+    username: user.username || (user.email && user.email.split('@')[0]) || '',
+    email: user.email,
+    profilePhoto: user.profilePhoto,
+    // Set while a deletion is pending, so the client can offer to cancel it
+    deletionScheduledFor: user.deletion?.scheduledFor || null,
+  };
+}
+
+function passwordError(password) {
+  if (!password || typeof password !== 'string' || password.length < 6) {
+    return 'Password must be at least 6 characters';
+  }
+  return null;
 }
 
 // Send OTP for signup verification
@@ -80,11 +222,15 @@ router.post('/send-otp', async (req, res) => {
       return res.status(400).json({ error: 'Email is required' });
     }
 
-    const otp = generateOtp();
-    otpStore.set(normalized, { otp, expiresAt: Date.now() + OTP_EXPIRY_MS });
+    const { otp, error, retryAfter } = await issueOtp('signup', normalized);
+    if (error) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error, retryAfter });
+    }
 
-    const result = await sendOtpEmail({ toEmail: normalized, otp });
+    const result = await sendOtpEmail({ toEmail: normalized, otp }).catch((err) => ({ sent: false, reason: err.message }));
     if (!result.sent) {
+      await discardOtp('signup', normalized);
       return res.status(503).json({ error: result.reason || 'Failed to send OTP email' });
     }
 
@@ -123,18 +269,10 @@ router.post('/signup', async (req, res) => {
     }
 
     const emailNorm = email.toLowerCase().trim();
-    const stored = otpStore.get(emailNorm);
-    if (!stored) {
-      return res.status(400).json({ error: 'OTP expired or not sent. Please request a new OTP.' });
+    const otpError = await verifyOtp('signup', emailNorm, otp);
+    if (otpError) {
+      return res.status(400).json({ error: otpError });
     }
-    if (Date.now() > stored.expiresAt) {
-      otpStore.delete(emailNorm);
-      return res.status(400).json({ error: 'OTP expired. Please request a new OTP.' });
-    }
-    if (stored.otp !== String(otp).trim()) {
-      return res.status(400).json({ error: 'Invalid OTP' });
-    }
-    otpStore.delete(emailNorm);
 
     const existingEmail = await User.findOne({ email: emailNorm });
     if (existingEmail) {
@@ -153,14 +291,10 @@ router.post('/signup', async (req, res) => {
       emailVerified: true,
     });
 
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
-      token,
+      ...tokens,
       user: {
         id: user._id.toString(),
         name: user.name,
@@ -194,29 +328,27 @@ router.post('/login', async (req, res) => {
     }
 
     if (!user.password) {
-      return res.status(401).json({ error: 'This account uses Google sign-in. Please sign in with Google.' });
+      return res.status(401).json({
+        error: 'This account uses Google or GitHub sign-in. Sign in with that, or use "Forgot password" to set a password.',
+      });
     }
 
     const valid = await user.comparePassword(password);
     if (!valid) {
       return res.status(401).json({ error: 'Invalid email/username or password' });
     }
+    const restriction = accountRestriction(user);
+    if (restriction) return res.status(403).json(restriction);
 
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (user.twoFactor?.enabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: twoFactorChallenge(user) });
+    }
+
+    const tokens = await createSession(user, req);
 
     res.json({
-      token,
-      user: {
-        id: user._id.toString(),
-        name: user.name,
-        username: user.username || (user.email && user.email.split('@')[0]) || '',
-        email: user.email,
-        profilePhoto: user.profilePhoto,
-      },
+      ...tokens,
+      user: formatAuthUser(user),
     });
   } catch (err) {
     console.error('Login error:', err);
@@ -224,39 +356,470 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Google OAuth - redirect to Google
-router.get('/google', (req, res, next) => {
-  if (!process.env.GOOGLE_CLIENT_ID) {
-    return res.status(503).json({ error: 'Google sign-in is not configured' });
+// Email a password reset code. Always answers the same way so it can't be used to
+// find out which emails have accounts. Body: { email }
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const email = req.body.email?.toLowerCase().trim();
+    if (!email) return res.status(400).json({ error: 'Email is required' });
+
+    // A resend inside the cooldown is skipped quietly for the same reason
+    const user = await User.findOne({ email }).select('_id');
+    const { otp } = user ? await issueOtp('reset', email) : {};
+    if (otp) {
+      const result = await sendPasswordResetEmail({ toEmail: email, otp });
+      // Answer the same as for an unknown email, so a failure doesn't reveal the account.
+      // Dropping the code lets the user ask again without waiting out the cooldown.
+      if (!result.sent) {
+        await discardOtp('reset', email);
+        console.error('Password reset email failed for user', user._id.toString());
+      }
+    }
+    res.json({ success: true, message: 'If an account exists for this email, a reset code has been sent' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set a new password with the emailed code. Also lets Google-only accounts add a
+// password. Signs out every session. Body: { email, otp, newPassword }
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { otp, newPassword } = req.body;
+    const email = req.body.email?.toLowerCase().trim();
+    if (!email || !otp) return res.status(400).json({ error: 'Email and OTP are required' });
+    const pwError = passwordError(newPassword);
+    if (pwError) return res.status(400).json({ error: pwError });
+
+    const otpError = await verifyOtp('reset', email, otp);
+    if (otpError) return res.status(400).json({ error: otpError });
+
+    const user = await User.findOne({ email });
+    if (!user) return res.status(400).json({ error: 'Invalid OTP' });
+    user.password = newPassword;
+    await user.save();
+
+    await revokeSessions({ userId: user._id });
+    sendPasswordChangedEmail({ toEmail: user.email }).catch(() => {});
+    res.json({ success: true, message: 'Password updated. Please sign in.' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change my password. Other sessions are signed out. Body: { currentPassword, newPassword }
+router.post('/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+    if (!user.password) {
+      return res.status(400).json({ error: 'This account has no password yet. Use set-password instead.' });
+    }
+    if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    const pwError = passwordError(newPassword);
+    if (pwError) return res.status(400).json({ error: pwError });
+
+    user.password = newPassword;
+    await user.save();
+
+    await revokeSessions({ userId: user._id, _id: { $ne: req.authSession._id } });
+    sendPasswordChangedEmail({ toEmail: user.email }).catch(() => {});
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  passport.authenticate('google', { session: false })(req, res, next);
 });
 
-// Google OAuth callback - issue JWT and redirect to frontend
-router.get('/google/callback', (req, res, next) => {
-  passport.authenticate('google', { session: false }, (err, user) => {
+const SET_PASSWORD = 'set-password';
+
+// Email the code that confirms set-password to the account's address
+router.post('/set-password/code', authenticateToken, async (req, res) => {
+  try {
+    if (await User.exists({ _id: req.user._id, password: { $ne: null } })) {
+      return res.status(400).json({ error: 'This account already has a password. Use change-password instead.' });
+    }
+    const { status, error, retryAfter } = await sendConfirmationCode(req.user, SET_PASSWORD);
+    if (error) {
+      if (retryAfter) res.set('Retry-After', String(retryAfter));
+      return res.status(status).json({ error, ...(retryAfter && { retryAfter }) });
+    }
+    res.json({ success: true, message: 'OTP sent to your email' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add a password to an account created with Google/GitHub sign-in. Other sessions are
+// signed out. Body: { newPassword } plus { otp } from /set-password/code, or a 2FA
+// { code | recoveryCode }
+router.post('/set-password', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.password) {
+      return res.status(400).json({ error: 'This account already has a password. Use change-password instead.' });
+    }
+    const pwError = passwordError(req.body.newPassword);
+    if (pwError) return res.status(400).json({ error: pwError });
+    const confirmError = await confirmIdentity(user._id, SET_PASSWORD, req.body);
+    if (confirmError) return res.status(400).json({ error: confirmError });
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    await revokeSessions({ userId: user._id, _id: { $ne: req.authSession._id } });
+    sendPasswordChangedEmail({ toEmail: user.email }).catch(() => {});
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+function oauthRedirectError(res, message) {
+  return res.redirect(`${FRONTEND_URL}/login?error=${encodeURIComponent(message)}`);
+}
+
+// OAuth sign-in - redirect to the provider (/google, /github). With ?link=<token from
+// POST /link/:provider> the round trip links the provider to that account instead.
+router.get('/:provider(google|github)', (req, res, next) => {
+  const { provider } = req.params;
+  if (!providerConfigured(provider)) {
+    return res.status(503).json({ error: `${PROVIDERS[provider].label} sign-in is not configured` });
+  }
+  const options = { session: false };
+  if (typeof req.query.link === 'string') options.state = req.query.link;
+  passport.authenticate(provider, options)(req, res, next);
+});
+
+// OAuth callback - start a session and redirect to the frontend with a one-time code
+// for it (see POST /oauth/exchange), or back to the account settings after linking
+router.get('/:provider(google|github)/callback', (req, res, next) => {
+  const { provider } = req.params;
+  const failed = `${PROVIDERS[provider].label} sign-in failed`;
+  passport.authenticate(provider, { session: false }, async (err, user, info) => {
     if (err) {
-      return res.redirect(`${FRONTEND_URL}/login?error=${encodeURIComponent(err.message || 'Google sign-in failed')}`);
+      return oauthRedirectError(res, err.message || failed);
+    }
+    if (req.query.state) res.clearCookie(LINK_NONCE_COOKIE, { path: '/api/auth' });
+    if (info?.linked) {
+      return res.redirect(`${FRONTEND_URL}/settings/accounts?linked=${provider}`);
     }
     if (!user) {
-      return res.redirect(`${FRONTEND_URL}/login?error=${encodeURIComponent('Google sign-in failed')}`);
+      if (req.query.state) {
+        return res.redirect(`${FRONTEND_URL}/settings/accounts?error=${encodeURIComponent(info?.message || failed)}`);
+      }
+      return oauthRedirectError(res, info?.message || failed);
+    }
+    const restriction = accountRestriction(user);
+    if (restriction) return oauthRedirectError(res, restriction.error);
+    if (user.twoFactor?.enabled) {
+      return res.redirect(`${FRONTEND_URL}/auth/2fa?challengeToken=${twoFactorChallenge(user)}`);
+    }
+    let code;
+    try {
+      code = await createSignInCode(user, req);
+    } catch (sessionErr) {
+      return oauthRedirectError(res, failed);
+    }
+    // In the fragment, so the code never reaches a server log or Referer header
+    res.redirect(`${FRONTEND_URL}/auth/callback#code=${encodeURIComponent(code)}`);
+  })(req, res, next);
+});
+
+// Finish an OAuth sign-in: swap the one-time code from the callback redirect for
+// tokens. Body: { code }
+router.post('/oauth/exchange', async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ error: 'code is required' });
+    const redeemed = await redeemSignInCode(code, req);
+    if (!redeemed) return res.status(401).json({ error: 'Sign-in code is invalid or expired. Please sign in again.' });
+
+    const user = await User.findById(redeemed.userId);
+    if (!user) return res.status(401).json({ error: 'Sign-in code is invalid or expired. Please sign in again.' });
+    const restriction = accountRestriction(user);
+    if (restriction) return res.status(403).json(restriction);
+
+    res.json({ ...redeemed.tokens, user: formatAuthUser(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sign-in methods on my account
+router.get('/accounts', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('password googleId githubId').lean();
+    res.json({
+      password: !!user.password,
+      providers: Object.entries(PROVIDERS).map(([provider, { label, idField }]) => ({
+        provider,
+        label,
+        linked: !!user[idField],
+        available: providerConfigured(provider),
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start linking a provider to my account. Returns the URL to send the browser to;
+// it carries a short-lived signed state naming this account. Also sets the nonce
+// cookie the callback checks, so the frontend must call this with credentials.
+router.post('/link/:provider(google|github)', authenticateToken, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    if (!providerConfigured(provider)) {
+      return res.status(503).json({ error: `${PROVIDERS[provider].label} sign-in is not configured` });
+    }
+    if (req.user[PROVIDERS[provider].idField]) {
+      return res.status(400).json({ error: `${PROVIDERS[provider].label} is already linked` });
     }
-    const token = jwt.sign(
-      { userId: user._id },
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const state = jwt.sign(
+      { userId: req.user._id.toString(), purpose: 'link', provider, nonce: hashNonce(nonce) },
       process.env.JWT_SECRET,
-      { expiresIn: '7d' }
+      { expiresIn: LINK_STATE_TTL }
     );
-    const userPayload = encodeURIComponent(
-      JSON.stringify({
-        id: user._id.toString(),
-        name: user.name,
-        username: user.username,
-        email: user.email,
-        profilePhoto: user.profilePhoto,
-      })
-    );
-    res.redirect(`${FRONTEND_URL}/auth/callback?token=${token}&user=${userPayload}`);
-  })(req, res, next);
+    const backendUrl = process.env.BACKEND_URL || 'http://localhost:4000';
+    res.cookie(LINK_NONCE_COOKIE, nonce, {
+      httpOnly: true,
+      secure: backendUrl.startsWith('https:'),
+      sameSite: 'lax',
+      path: '/api/auth',
+      maxAge: LINK_NONCE_MAX_AGE_MS,
+    });
+    res.json({ url: `${backendUrl}/api/auth/${provider}?link=${encodeURIComponent(state)}` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Unlink a provider. Refused when it's the only way left to sign in.
+router.delete('/link/:provider(google|github)', authenticateToken, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { idField, label } = PROVIDERS[provider];
+    const user = await User.findById(req.user._id).select('password googleId githubId');
+    if (!user[idField]) return res.status(400).json({ error: `${label} is not linked` });
+
+    const otherProviders = Object.values(PROVIDERS).filter((p) => p.idField !== idField && user[p.idField]);
+    if (!user.password && !otherProviders.length) {
+      return res.status(400).json({
+        error: `${label} is your only way to sign in. Set a password or link another account first.`,
+      });
+    }
+
+    user[idField] = null;
+    await user.save();
+    res.json({ success: true, provider, linked: false });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Finish a 2FA sign-in. Body: { challengeToken, code } or { challengeToken, recoveryCode }
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken || '', process.env.JWT_SECRET);
+    } catch {
+      return res.status(401).json({ error: 'Sign-in expired. Please sign in again.' });
+    }
+    if (decoded.purpose !== '2fa') return res.status(401).json({ error: 'Invalid challenge' });
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor?.enabled) return res.status(401).json({ error: 'Invalid challenge' });
+
+    const error = await attemptSecondFactor(user, { code, recoveryCode });
+    if (error) return res.status(401).json({ error });
+    const restriction = accountRestriction(user);
+    if (restriction) return res.status(403).json(restriction);
+
+    const tokens = await createSession(user, req);
+    res.json({
+      ...tokens,
+      user: formatAuthUser(user),
+      recoveryCodesLeft: recoveryCode ? user.twoFactor.recoveryCodes.length : undefined,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start 2FA enrolment: returns a new secret and the otpauth:// URL to show as a QR code
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (user.twoFactor?.enabled) return res.status(400).json({ error: 'Two-factor authentication is already on' });
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+    res.json({ secret, otpauthUrl: otpauthUrl(secret, user.email) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Confirm enrolment with a code from the app. Returns recovery codes, shown only once.
+// Body: { code }
+router.post('/2fa/enable', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    const tf = user.twoFactor;
+    if (tf.enabled) return res.status(400).json({ error: 'Two-factor authentication is already on' });
+    if (!tf.pendingSecret) return res.status(400).json({ error: 'Start setup first' });
+
+    const secret = decryptSecret(tf.pendingSecret);
+    const step = verifyTotp(secret, req.body.code);
+    if (step === null) return res.status(400).json({ error: 'Invalid code' });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    Object.assign(tf, {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: tf.pendingSecret,
+      pendingSecret: null,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+      failedAttempts: 0,
+      lockedUntil: null,
+    });
+    await user.save();
+    res.json({ enabled: true, recoveryCodes: codes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Turn 2FA off. Needs the password (for accounts that have one) and a current code
+// or recovery code. Body: { password?, code?, recoveryCode? }
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor?.enabled) return res.status(400).json({ error: 'Two-factor authentication is not on' });
+    if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+    const error = await attemptSecondFactor(user, req.body);
+    if (error) return res.status(400).json({ error });
+
+    Object.assign(user.twoFactor, {
+      enabled: false,
+      enabledAt: null,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: -1,
+      failedAttempts: 0,
+      lockedUntil: null,
+    });
+    await user.save();
+    res.json({ enabled: false });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replace the recovery codes (the old ones stop working). Body: { code }
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor?.enabled) return res.status(400).json({ error: 'Two-factor authentication is not on' });
+    const error = await attemptSecondFactor(user, { code: req.body.code });
+    if (error) return res.status(400).json({ error });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+    res.json({ recoveryCodes: codes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Exchange a refresh token for a new access token. The refresh token is rotated:
+// use the one returned, the old one stops working. Body: { refreshToken }
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ error: 'refreshToken is required' });
+    const tokens = await rotateSession(refreshToken, req);
+    if (!tokens) return res.status(401).json({ error: 'Session expired or revoked. Please sign in again.' });
+    res.json(tokens);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// End the current session. Works with a valid access token or, once that has
+// expired, with the refresh token. Body: { refreshToken? }
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    const session = req.authSession || (await findSessionByRefreshToken(req.body.refreshToken));
+    if (session) await revokeSessions({ _id: session._id });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+function formatSession(s, currentId) {
+  return {
+    id: s._id.toString(),
+    device: s.device,
+    userAgent: s.userAgent,
+    ip: s.ip,
+    createdAt: s.createdAt,
+    lastSeenAt: s.lastSeenAt,
+    current: s._id.toString() === currentId,
+  };
+}
+
+// My active sessions, most recently used first
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+    const currentId = req.authSession._id.toString();
+    res.json(sessions.map((s) => formatSession(s, currentId)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sign out everywhere else. ?all=true includes this session too.
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.query.all !== 'true') filter._id = { $ne: req.authSession._id };
+    const result = await revokeSessions(filter);
+    res.json({ success: true, revoked: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke one of my sessions
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await revokeSessions({ _id: req.params.id, userId: req.user._id });
+    if (!result.matchedCount) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(404).json({ error: 'Session not found' });
+    res.status(500).json({ error: err.message });
+  }
 });
 
 export default router;
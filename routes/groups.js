@@ -0,0 +1,238 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticateToken } from '../middleware/auth.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import { publish } from '../services/realtime.js';
+import { destroyMedia } from '../services/media.js';
+import { messagingError } from '../services/privacy.js';
+
+const router = express.Router();
+
+const MAX_GROUP_MEMBERS = 100;
+
+function formatGroup(group, users = new Map()) {
+  return {
+    id: group._id.toString(),
+    type: group.type,
+    name: group.name,
+    createdBy: group.createdBy?.toString() || null,
+    members: group.members.map((m) => {
+      const u = users.get(m.userId.toString()) || {};
+      return {
+        id: m.userId.toString(),
+        name: u.name || 'Unknown',
+        username: u.username || '',
+        profilePhoto: u.profilePhoto,
+        role: m.role,
+        joinedAt: m.joinedAt,
+        lastReadAt: m.lastReadAt,
+      };
+    }),
+    lastMessageAt: group.lastMessageAt,
+    createdAt: group.createdAt,
+  };
+}
+
+async function groupResponse(group) {
+  const users = await User.find({ _id: { $in: group.members.map((m) => m.userId) } })
+    .select('name username profilePhoto')
+    .lean();
+  return formatGroup(group, new Map(users.map((u) => [u._id.toString(), u])));
+}
+
+// Users to add to a group, from a request body list: existing ones, deduplicated,
+// other than me. Adding someone lets me message them, so each must be someone I may
+// message directly (blocks and their messagePrivacy). Returns { ids }, or { error }
+// for the first one refused.
+async function resolveNewMembers(raw, me, isMember = () => false) {
+  if (!Array.isArray(raw)) return { ids: [] };
+  const ids = [...new Set(raw.map(String))].filter(
+    (id) => mongoose.isValidObjectId(id) && id !== me._id.toString() && !isMember(id)
+  );
+  const users = await User.find({ _id: { $in: ids } })
+    .select('name blocked messagePrivacy connections followers')
+    .lean();
+  for (const user of users) {
+    const error = messagingError(me, user);
+    if (error) return { error: `Can't add ${user.name}: ${error}` };
+  }
+  return { ids: users.map((u) => u._id) };
+}
+
+function publishToMembers(group, event, data) {
+  for (const m of group.members) publish(m.userId, event, data);
+}
+
+// Loads the group into req.group; 404 unless I'm a member
+async function requireMember(req, res, next) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    const group = await Conversation.findGroupForMember(req.params.id, req.user._id);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+    req.group = group;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+function requireGroupAdmin(req, res, next) {
+  if (!req.group.isAdmin(req.user._id)) {
+    return res.status(403).json({ error: 'Only group admins can do this' });
+  }
+  next();
+}
+
+// Create a group. Body: { name, memberIds: [] }. The creator is its first admin.
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    if (!name) return res.status(400).json({ error: 'Group name is required' });
+
+    const { ids: memberIds, error } = await resolveNewMembers(req.body.memberIds, req.user);
+    if (error) return res.status(403).json({ error });
+    if (!memberIds.length) {
+      return res.status(400).json({ error: 'Add at least one other member' });
+    }
+    if (memberIds.length + 1 > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({ error: `A group can have at most ${MAX_GROUP_MEMBERS} members` });
+    }
+
+    const group = await Conversation.create({
+      name,
+      createdBy: req.user._id,
+      members: [
+        { userId: req.user._id, role: 'admin' },
+        ...memberIds.map((userId) => ({ userId, role: 'member' })),
+      ],
+    });
+
+    const body = await groupResponse(group);
+    publishToMembers(group, 'group', body);
+    res.status(201).json(body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Group details with members
+router.get('/:id', authenticateToken, requireMember, async (req, res) => {
+  try {
+    res.json(await groupResponse(req.group));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename (admin). Body: { name }
+router.patch('/:id', authenticateToken, requireMember, requireGroupAdmin, async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    if (!name) return res.status(400).json({ error: 'Group name is required' });
+    req.group.name = name;
+    await req.group.save();
+
+    const body = await groupResponse(req.group);
+    publishToMembers(req.group, 'group', body);
+    res.json(body);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add members (admin). Body: { userIds: [] }
+router.post('/:id/members', authenticateToken, requireMember, requireGroupAdmin, async (req, res) => {
+  try {
+    const group = req.group;
+    const { ids: added, error } = await resolveNewMembers(req.body.userIds, req.user, (id) => group.member(id));
+    if (error) return res.status(403).json({ error });
+    if (!added.length) return res.status(400).json({ error: 'No new members to add' });
+    if (group.members.length + added.length > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({ error: `A group can have at most ${MAX_GROUP_MEMBERS} members` });
+    }
+
+    // New members start with the existing history read
+    group.members.push(...added.map((userId) => ({ userId, role: 'member' })));
+    await group.save();
+
+    const body = await groupResponse(group);
+    publishToMembers(group, 'group', body);
+    res.json(body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove a member (admin) or leave (own id). When the last admin leaves the longest-standing
+// member is promoted; when the last member leaves the group and its messages are deleted.
+router.delete('/:id/members/:userId', authenticateToken, requireMember, async (req, res) => {
+  try {
+    const group = req.group;
+    const targetId = req.params.userId;
+    const leaving = targetId === req.user._id.toString();
+    if (!leaving && !group.isAdmin(req.user._id)) {
+      return res.status(403).json({ error: 'Only group admins can remove members' });
+    }
+    const target = group.member(targetId);
+    if (!target) return res.status(404).json({ error: 'Member not found' });
+
+    group.members = group.members.filter((m) => m.userId.toString() !== targetId);
+    publish(targetId, 'group_removed', { groupId: group._id.toString() });
+
+    if (!group.members.length) {
+      const withFiles = await Message.find({ conversationId: group._id, 'attachments.0': { $exists: true } })
+        .select('attachments')
+        .lean();
+      for (const m of withFiles) {
+        for (const a of m.attachments) await destroyMedia(a.id, a.resourceType);
+      }
+      await Message.deleteMany({ conversationId: group._id });
+      await group.deleteOne();
+      return res.json({ success: true, deleted: true });
+    }
+
+    if (!group.members.some((m) => m.role === 'admin')) {
+      const oldest = [...group.members].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+      oldest.role = 'admin';
+    }
+    await group.save();
+
+    const body = await groupResponse(group);
+    publishToMembers(group, 'group', body);
+    res.json(leaving ? { success: true } : body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change a member's role (admin). Body: { role: 'admin' | 'member' }
+router.put('/:id/members/:userId/role', authenticateToken, requireMember, requireGroupAdmin, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!['admin', 'member'].includes(role)) {
+      return res.status(400).json({ error: 'role must be admin or member' });
+    }
+    const group = req.group;
+    const target = group.member(req.params.userId);
+    if (!target) return res.status(404).json({ error: 'Member not found' });
+    if (target.role === 'admin' && role === 'member' && group.members.filter((m) => m.role === 'admin').length === 1) {
+      return res.status(400).json({ error: 'A group needs at least one admin' });
+    }
+
+    target.role = role;
+    await group.save();
+
+    const body = await groupResponse(group);
+    publishToMembers(group, 'group', body);
+    res.json(body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -1,90 +1,214 @@
 import express from 'express';
 import mongoose from 'mongoose';
 import Message from '../models/Message.js';
+import Conversation, { directKey, lastMessageSnapshot } from '../models/Conversation.js';
 import User from '../models/User.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { messageUpload, attachmentSizeError, MAX_MESSAGE_ATTACHMENTS } from '../middleware/upload.js';
+import { uploadMessageAttachments, formatAttachment } from '../services/media.js';
 import { sendNewMessageEmail } from '../services/email.js';
+import { notify, markNotificationsRead } from '../services/notifications.js';
+import { publish, isOnline } from '../services/realtime.js';
+import { messagingError, includesId, isBlockedBetween } from '../services/privacy.js';
+import { unsendMessage } from '../services/contentRemoval.js';
+import { submitReport } from '../services/reports.js';
+import { parseLimit, decodeCursor, buildCursorFilter, paginate } from '../utils/pagination.js';
 
 const router = express.Router();
 
-// Get conversations list (anyone you've chatted with) with last message and unread count
+// Senders can edit for 15 minutes and unsend for an hour; delete-for-me has no limit
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const UNSEND_WINDOW_MS = 60 * 60 * 1000;
+
+// A single emoji (with modifiers / ZWJ sequences), not arbitrary text
+const EMOJI_RE = /^(?=.*(?:\p{Extended_Pictographic}|\p{Regional_Indicator}))(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+
+function formatMessage(m, meStr) {
+  const deleted = !!m.deletedForEveryone;
+  // Hidden by moderation: content withheld like an unsent message
+  const withheld = deleted || !!m.hidden;
+  return {
+    id: m._id.toString(),
+    senderId: m.senderId.toString(),
+    receiverId: m.receiverId?.toString() || null,
+    conversationId: m.conversationId?.toString() || null,
+    text: withheld ? '' : m.text,
+    attachments: withheld ? [] : (m.attachments || []).map(formatAttachment),
+    reactions: withheld
+      ? []
+      : (m.reactions || []).map((r) => ({ userId: r.userId.toString(), emoji: r.emoji })),
+    read: m.read,
+    editedAt: m.editedAt || null,
+    deleted,
+    ...(m.hidden && { hidden: true }),
+    createdAt: m.createdAt,
+    isMe: m.senderId.toString() === meStr,
+  };
+}
+
+// Conversation list preview, from the conversation's lastMessage snapshot
+function formatPreview(last, meStr) {
+  return {
+    text: last.text,
+    deleted: !!last.deleted,
+    ...(last.hidden && { hidden: true }),
+    attachment: last.attachment?.kind
+      ? { kind: last.attachment.kind, name: last.attachment.name, thumbnailUrl: last.attachment.thumbnailUrl || null }
+      : null,
+    attachmentCount: last.attachmentCount || 0,
+    createdAt: last.createdAt,
+    isMe: last.senderId?.toString() === meStr,
+    senderId: last.senderId?.toString() || null,
+  };
+}
+
+// A group I'm a member of, or null. Ids that aren't ObjectIds count as not found
+// rather than failing the query with a CastError.
+function findMyGroup(groupId, userId, fields) {
+  if (!mongoose.isValidObjectId(groupId)) return null;
+  const query = Conversation.findGroupForMember(groupId, userId);
+  return fields ? query.select(fields) : query;
+}
+
+// Short text for notifications and emails
+function previewText(m) {
+  if (m.text) return m.text;
+  const n = m.attachments?.length || 0;
+  return n === 1 ? `Sent ${m.attachments[0].name || 'an attachment'}` : `Sent ${n} attachments`;
+}
+
+const CONVERSATION_SORT = [['lastMessageAt', -1], ['_id', -1]];
+const HISTORY_SORT = [['createdAt', -1], ['_id', -1]];
+
+// Preview for a conversation whose newest message I deleted for myself: the newest
+// one I can still see, or null
+async function visiblePreview(c, me, otherId) {
+  const filter =
+    c.type === 'group'
+      ? { conversationId: c._id }
+      : {
+          conversationId: null,
+          $or: [
+            { senderId: me, receiverId: otherId },
+            { senderId: otherId, receiverId: me },
+          ],
+        };
+  const message = await Message.findOne({ ...filter, deletedFor: { $ne: me } })
+    .sort(HISTORY_SORT)
+    .lean();
+  return message ? formatPreview(lastMessageSnapshot(message), me.toString()) : null;
+}
+
+// Get conversations list: direct chats and groups, most recent activity first, each
+// with last message and unread count. Query: limit, cursor
 router.get('/conversations', authenticateToken, async (req, res) => {
   try {
     const me = req.user._id;
-    const messages = await Message.find({
-      $or: [{ senderId: me }, { receiverId: me }],
-    })
-      .sort({ createdAt: -1 })
-      .lean();
-
-    const byOther = new Map();
-    for (const m of messages) {
-      const otherId = m.senderId.toString() === me.toString() ? m.receiverId.toString() : m.senderId.toString();
-      if (!byOther.has(otherId)) {
-        byOther.set(otherId, { lastMessage: m, unreadCount: 0 });
-      }
-      const entry = byOther.get(otherId);
-      if (m.receiverId.toString() === me.toString() && !m.read) {
-        entry.unreadCount += 1;
+    const meStr = me.toString();
+    const filter = { 'members.userId': me };
+    if (req.query.cursor) {
+      const values = decodeCursor(req.query.cursor);
+      if (!values || values.length !== CONVERSATION_SORT.length) {
+        return res.status(400).json({ error: 'Invalid cursor' });
       }
+      Object.assign(filter, buildCursorFilter(CONVERSATION_SORT, values));
     }
 
-    const userIds = [...byOther.keys()];
-    const users = await User.find({ _id: { $in: userIds } })
+    const { items, nextCursor, hasMore } = await paginate(Conversation.find(filter).lean(), {
+      sortSpec: CONVERSATION_SORT,
+      limit: parseLimit(req.query.limit),
+    });
+
+    const otherOf = (c) => c.members.find((m) => m.userId.toString() !== meStr)?.userId.toString();
+    const otherIds = items.filter((c) => c.type === 'direct').map(otherOf).filter(Boolean);
+    const users = await User.find({ _id: { $in: otherIds } })
       .select('name profilePhoto')
       .lean();
     const userMap = new Map(users.map((u) => [u._id.toString(), u]));
 
-    const list = userIds.map((uid) => {
-      const { lastMessage, unreadCount } = byOther.get(uid);
+    const previews = await Promise.all(
+      items.map((c) => {
+        if (!c.lastMessage?.messageId) return null;
+        if (!includesId(c.lastMessage.deletedFor, me)) return formatPreview(c.lastMessage, meStr);
+        return visiblePreview(c, me, c.type === 'direct' ? otherOf(c) : null);
+      })
+    );
+
+    const conversations = items.map((c, i) => {
+      const mine = c.members.find((m) => m.userId.toString() === meStr);
+      const common = {
+        conversationId: c._id.toString(),
+        lastMessage: previews[i],
+        unreadCount: mine?.unreadCount || 0,
+        lastMessageAt: c.lastMessageAt,
+      };
+      if (c.type === 'group') {
+        return { type: 'group', id: c._id.toString(), name: c.name, memberCount: c.members.length, ...common };
+      }
+      const uid = otherOf(c);
       const u = userMap.get(uid) || {};
       return {
+        type: 'direct',
         id: uid,
         name: u.name || 'Unknown',
         profilePhoto: u.profilePhoto,
-        lastMessage: lastMessage
-          ? {
-              text: lastMessage.text,
-              createdAt: lastMessage.createdAt,
-              isMe: lastMessage.senderId.toString() === me.toString(),
-            }
-          : null,
-        unreadCount,
+        ...common,
+        muted: includesId(req.user.muted, uid),
+        blocked: includesId(req.user.blocked, uid),
       };
     });
 
-    list.sort((a, b) => {
-      const aTime = a.lastMessage?.createdAt || 0;
-      const bTime = b.lastMessage?.createdAt || 0;
-      return new Date(bTime) - new Date(aTime);
-    });
-
-    res.json(list);
+    res.json({ conversations, nextCursor, hasMore });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Unread count (total)
+// Unread count (total, direct and group)
 router.get('/unread-count', authenticateToken, async (req, res) => {
   try {
-    const count = await Message.countDocuments({
-      receiverId: req.user._id,
-      read: false,
-    });
+    const me = req.user._id.toString();
+    const unread = await Conversation.find({
+      members: { $elemMatch: { userId: req.user._id, unreadCount: { $gt: 0 } } },
+    })
+      .select('type members.userId members.unreadCount')
+      .lean();
+
+    let count = 0;
+    for (const c of unread) {
+      // Muted senders don't add to the badge
+      if (c.type === 'direct' && c.members.some((m) => m.userId.toString() !== me && includesId(req.user.muted, m.userId))) {
+        continue;
+      }
+      count += c.members.find((m) => m.userId.toString() === me)?.unreadCount || 0;
+    }
     res.json({ count });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Mark messages as read (conversation with userId)
+// Mark messages as read. Body: { with: userId } for a direct chat or { groupId }
 router.post('/read', authenticateToken, async (req, res) => {
   try {
-    const { with: withUserId } = req.body;
-    if (!withUserId) return res.status(400).json({ error: 'with (userId) required' });
+    const { with: withUserId, groupId } = req.body;
+    const at = new Date();
+
+    if (groupId) {
+      const group = await findMyGroup(groupId, req.user._id, '_id');
+      if (!group) return res.status(404).json({ error: 'Group not found' });
+      const updated = await Conversation.markRead(group._id, req.user._id, at);
+      for (const m of updated.members) {
+        if (m.userId.toString() !== req.user._id.toString()) {
+          publish(m.userId, 'read', { by: req.user._id.toString(), groupId: group._id.toString(), at });
+        }
+      }
+      return res.json({ success: true });
+    }
+
+    if (!withUserId) return res.status(400).json({ error: 'with (userId) or groupId required' });
 
-    await Message.updateMany(
+    const result = await Message.updateMany(
       {
         senderId: withUserId,
         receiverId: req.user._id,
@@ -92,83 +216,337 @@ router.post('/read', authenticateToken, async (req, res) => {
       },
       { read: true }
     );
+    await Conversation.updateOne(
+      { directKey: directKey(req.user._id, withUserId), 'members.userId': req.user._id },
+      { $set: { 'members.$.lastReadAt': at, 'members.$.unreadCount': 0 } }
+    );
+    // Read receipt for the sender
+    if (result.modifiedCount) {
+      publish(withUserId, 'read', { by: req.user._id.toString(), at });
+    }
+    markNotificationsRead({ userId: req.user._id, actorId: withUserId, type: 'message' });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get messages between current user and another user
-router.get('/', authenticateToken, async (req, res) => {
+// Typing indicator, relayed over the realtime stream.
+// Body: { toUserId | groupId, typing = true }
+router.post('/typing', authenticateToken, async (req, res) => {
   try {
-    const withUserId = req.query.with;
-    if (!withUserId) {
-      return res.status(400).json({ error: 'Query param "with" (userId) required' });
+    const { toUserId, groupId, typing = true } = req.body;
+    const from = req.user._id.toString();
+    if (groupId) {
+      const group = await findMyGroup(groupId, req.user._id, 'members.userId');
+      if (!group) return res.status(404).json({ error: 'Group not found' });
+      for (const m of group.members) {
+        if (m.userId.toString() !== from) publish(m.userId, 'typing', { from, groupId, typing: !!typing });
+      }
+      return res.json({ success: true });
     }
+    if (!toUserId) return res.status(400).json({ error: 'toUserId or groupId required' });
+    if (!mongoose.isValidObjectId(toUserId)) return res.status(400).json({ error: 'Invalid user id' });
+    // Only to someone I'm allowed to message
+    const receiver = await User.findById(toUserId).select('blocked messagePrivacy connections followers');
+    if (!receiver) return res.status(404).json({ error: 'User not found' });
+    const privacyError = messagingError(req.user, receiver);
+    if (privacyError) return res.status(403).json({ error: privacyError });
+    publish(receiver._id, 'typing', { from, typing: !!typing });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
+// Chat history with another user (?with=userId) or of a group (?group=id), newest page
+// first. Each page is returned oldest first; pass nextCursor as ?before= to load
+// the page before it. Query: limit, before
+router.get('/', authenticateToken, async (req, res) => {
+  try {
     const me = req.user._id;
-    const other = new mongoose.Types.ObjectId(withUserId);
+    let filter;
+    if (req.query.group) {
+      const group = await findMyGroup(req.query.group, me, '_id');
+      if (!group) return res.status(404).json({ error: 'Group not found' });
+      filter = { conversationId: group._id };
+    } else if (req.query.with) {
+      if (!mongoose.isValidObjectId(req.query.with)) return res.status(400).json({ error: 'Invalid user id' });
+      const other = new mongoose.Types.ObjectId(req.query.with);
+      filter = {
+        $or: [
+          { senderId: me, receiverId: other },
+          { senderId: other, receiverId: me },
+        ],
+      };
+    } else {
+      return res.status(400).json({ error: 'Query param "with" (userId) or "group" required' });
+    }
+    filter.deletedFor = { $ne: me };
 
-    const messages = await Message.find({
-      $or: [
-        { senderId: me, receiverId: other },
-        { senderId: other, receiverId: me },
-      ],
-    })
-      .sort({ createdAt: 1 })
-      .lean();
+    if (req.query.before) {
+      const values = decodeCursor(req.query.before);
+      if (!values || values.length !== HISTORY_SORT.length) return res.status(400).json({ error: 'Invalid cursor' });
+      filter = { $and: [filter, buildCursorFilter(HISTORY_SORT, values)] };
+    }
+
+    const { items, nextCursor, hasMore } = await paginate(Message.find(filter).lean(), {
+      sortSpec: HISTORY_SORT,
+      limit: parseLimit(req.query.limit, { defaultLimit: 30, max: 100 }),
+    });
 
     const meStr = me.toString();
-    const formatted = messages.map((m) => ({
-      id: m._id.toString(),
-      senderId: m.senderId.toString(),
-      receiverId: m.receiverId.toString(),
-      text: m.text,
-      read: m.read,
-      createdAt: m.createdAt,
-      isMe: m.senderId.toString() === meStr,
-    }));
-
-    res.json(formatted);
+    res.json({
+      messages: items.reverse().map((m) => formatMessage(m, meStr)),
+      nextCursor,
+      hasMore,
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Send message (anyone can message anyone)
-router.post('/', authenticateToken, async (req, res) => {
+// Send message to a user (subject to block and messagePrivacy) or to a group I'm in.
+// JSON or multipart. Body: { toUserId | groupId, text, attachments (files) }.
+// Text is optional when there are attachments. Group members get the message live and
+// as a notification, not by email.
+router.post(
+  '/',
+  authenticateToken,
+  messageUpload.array('attachments', MAX_MESSAGE_ATTACHMENTS),
+  async (req, res) => {
+    try {
+      const { toUserId, groupId } = req.body;
+      const text = (req.body.text || '').trim();
+      const files = req.files || [];
+      if ((!toUserId && !groupId) || (!text && !files.length)) {
+        return res.status(400).json({ error: 'toUserId (or groupId) and text or attachments required' });
+      }
+      const sizeError = attachmentSizeError(files);
+      if (sizeError) return res.status(400).json({ error: sizeError });
+
+      const me = req.user._id;
+      let group = null;
+      let receiver = null;
+      let conversation = null;
+      if (groupId) {
+        group = await findMyGroup(groupId, me);
+        if (!group) return res.status(404).json({ error: 'Group not found' });
+      } else {
+        receiver = await User.findById(toUserId).select('name email blocked muted messagePrivacy connections followers');
+        if (!receiver) return res.status(404).json({ error: 'User not found' });
+        const privacyError = messagingError(req.user, receiver);
+        if (privacyError) return res.status(403).json({ error: privacyError });
+        // Before the message exists, so a failure here doesn't leave one without a conversation
+        conversation = await Conversation.findOrCreateDirect(me, receiver._id);
+      }
+
+      // Upload last so a rejected message doesn't leave unused assets behind
+      let attachments = [];
+      if (files.length) {
+        attachments = await uploadMessageAttachments(files);
+        if (!attachments) return res.status(500).json({ error: 'Attachment upload failed' });
+      }
+
+      const message = await Message.create({
+        senderId: me,
+        ...(group ? { conversationId: group._id } : { receiverId: receiver._id }),
+        text,
+        attachments,
+      });
+      const preview = previewText(message);
+
+      if (group) {
+        await Conversation.recordMessage(group._id, message);
+        for (const m of group.members) {
+          publish(m.userId, 'message', formatMessage(message, m.userId.toString()));
+          notify({ userId: m.userId, actorId: me, type: 'message', messageId: message._id, text: preview });
+        }
+        return res.status(201).json(formatMessage(message, me.toString()));
+      }
+
+      await Conversation.recordMessage(conversation._id, message);
+
+      // Push to the receiver and to my other open sessions
+      publish(receiver._id, 'message', formatMessage(message, receiver._id.toString()));
+      publish(me, 'message', formatMessage(message, me.toString()));
+
+      notify({ userId: receiver._id, actorId: me, type: 'message', messageId: message._id, text: preview });
+
+      // Email only when the receiver has no live connection and hasn't muted me
+      if (!isOnline(receiver._id) && !includesId(receiver.muted, me)) {
+        sendNewMessageEmail({
+          toEmail: receiver.email,
+          toName: receiver.name,
+          fromName: req.user.name,
+          messagePreview: preview.slice(0, 100) + (preview.length > 100 ? '...' : ''),
+        }).catch(() => {});
+      }
+
+      res.status(201).json(formatMessage(message, me.toString()));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Loads a message I'm a participant of (sender, receiver or group member) into
+// req.message, with req.participants for realtime fan-out
+async function requireParticipant(req, res, next) {
   try {
-    const { toUserId, text } = req.body;
-    if (!toUserId || !text?.trim()) {
-      return res.status(400).json({ error: 'toUserId and text required' });
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    const message = await Message.findById(req.params.id);
+    if (!message) return res.status(404).json({ error: 'Message not found' });
+
+    const me = req.user._id.toString();
+    let participants;
+    if (message.conversationId) {
+      const group = await Conversation.findById(message.conversationId).select('members.userId').lean();
+      participants = (group?.members || []).map((m) => m.userId.toString());
+    } else {
+      participants = [message.senderId.toString(), message.receiverId.toString()];
     }
+    if (!participants.includes(me) || message.deletedFor.some((id) => id.toString() === me)) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    req.message = message;
+    req.participants = participants;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
 
+// For changes the other side sees live (edits, reactions): refused in a direct chat
+// once either user has blocked the other. Use after requireParticipant.
+async function requireNotBlocked(req, res, next) {
+  try {
+    if (!req.message.conversationId) {
+      const me = req.user._id.toString();
+      const other = req.participants.find((id) => id !== me) || me;
+      if (await isBlockedBetween(req.user._id, other)) {
+        return res.status(403).json({ error: "You can't message this user" });
+      }
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// Sender only, and only while the message is still within `windowMs`
+function senderWithin(req, res, windowMs, action) {
+  if (req.message.senderId.toString() !== req.user._id.toString()) {
+    res.status(403).json({ error: `You can only ${action} your own messages` });
+    return false;
+  }
+  if (Date.now() - req.message.createdAt.getTime() > windowMs) {
+    res.status(403).json({ error: `You can only ${action} a message within ${windowMs / 60000} minutes of sending it` });
+    return false;
+  }
+  return true;
+}
+
+function publishUpdate(req) {
+  for (const userId of req.participants) {
+    publish(userId, 'message_updated', formatMessage(req.message, userId));
+  }
+}
+
+// Edit my message's text. Body: { text }
+router.patch('/:id', authenticateToken, requireParticipant, requireNotBlocked, async (req, res) => {
+  try {
+    const text = (req.body.text || '').trim();
+    if (req.message.deletedForEveryone) return res.status(400).json({ error: 'Message was deleted' });
+    if (req.message.hidden) return res.status(400).json({ error: 'Message was removed by a moderator' });
+    if (!senderWithin(req, res, EDIT_WINDOW_MS, 'edit')) return;
+    if (!text && !req.message.attachments.length) return res.status(400).json({ error: 'text required' });
+
+    if (text !== req.message.text) {
+      req.message.text = text;
+      req.message.editedAt = new Date();
+      await req.message.save();
+      await Conversation.refreshLastMessage(req.message);
+      publishUpdate(req);
+    }
+    res.json(formatMessage(req.message, req.user._id.toString()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a message. ?for=everyone unsends it (sender, within the window) and leaves a
+// placeholder; the default removes it from my own history only.
+router.delete('/:id', authenticateToken, requireParticipant, async (req, res) => {
+  try {
+    const message = req.message;
     const me = req.user._id;
-    const receiver = await User.findById(toUserId).select('name email');
-    if (!receiver) return res.status(404).json({ error: 'User not found' });
 
-    const message = await Message.create({
-      senderId: me,
-      receiverId: toUserId,
-      text: text.trim(),
-    });
+    if (req.query.for !== 'everyone') {
+      await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: me } });
+      await Conversation.deleteMessageFor(message, me);
+      publish(me, 'message_deleted', { id: message._id.toString() });
+      return res.json({ success: true });
+    }
 
-    sendNewMessageEmail({
-      toEmail: receiver.email,
-      toName: receiver.name,
-      fromName: req.user.name,
-      messagePreview: text.trim().slice(0, 100) + (text.trim().length > 100 ? '...' : ''),
-    }).catch(() => {});
-
-    res.status(201).json({
-      id: message._id.toString(),
-      senderId: message.senderId.toString(),
-      receiverId: message.receiverId.toString(),
-      text: message.text,
-      read: message.read,
-      createdAt: message.createdAt,
-      isMe: true,
-    });
+    if (message.deletedForEveryone) return res.json({ success: true });
+    if (!senderWithin(req, res, UNSEND_WINDOW_MS, 'unsend')) return;
+
+    await unsendMessage(message);
+    publishUpdate(req);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Report a message I can see (e.g. harassment). Body: { reason, details? }
+router.post('/:id/report', authenticateToken, requireParticipant, async (req, res) => {
+  try {
+    if (req.message.deletedForEveryone) return res.status(400).json({ error: 'Message was deleted' });
+    const { report, status, error } = await submitReport(req.user, 'message', req.message, req.body);
+    if (error) return res.status(status).json({ error });
+    res.status(201).json({ success: true, reportId: report._id.toString() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// React to a message, replacing any earlier reaction of mine. Body: { emoji }
+router.put('/:id/reactions', authenticateToken, requireParticipant, requireNotBlocked, async (req, res) => {
+  try {
+    const emoji = (req.body.emoji || '').trim();
+    if (!emoji || emoji.length > 16 || !EMOJI_RE.test(emoji)) {
+      return res.status(400).json({ error: 'emoji must be a single emoji' });
+    }
+    if (req.message.deletedForEveryone) return res.status(400).json({ error: 'Message was deleted' });
+    if (req.message.hidden) return res.status(400).json({ error: 'Message was removed by a moderator' });
+
+    const me = req.user._id.toString();
+    req.message.reactions = req.message.reactions.filter((r) => r.userId.toString() !== me);
+    req.message.reactions.push({ userId: req.user._id, emoji });
+    await req.message.save();
+
+    publishUpdate(req);
+    res.json(formatMessage(req.message, me));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove my reaction
+router.delete('/:id/reactions', authenticateToken, requireParticipant, async (req, res) => {
+  try {
+    const me = req.user._id.toString();
+    const before = req.message.reactions.length;
+    req.message.reactions = req.message.reactions.filter((r) => r.userId.toString() !== me);
+    if (req.message.reactions.length !== before) {
+      await req.message.save();
+      publishUpdate(req);
+    }
+    res.json(formatMessage(req.message, me));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
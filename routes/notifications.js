@@ -0,0 +1,97 @@
+import express from 'express';
+import Notification from '../models/Notification.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { parseLimit, decodeCursor, buildCursorFilter, paginate } from '../utils/pagination.js';
+
+const router = express.Router();
+
+const SORT = [['updatedAt', -1], ['_id', -1]];
+
+function formatNotification(n) {
+  return {
+    id: n._id.toString(),
+    type: n.type,
+    actor: n.actorId
+      ? {
+          id: n.actorId._id.toString(),
+          name: n.actorId.name,
+          username: n.actorId.username,
+          profilePhoto: n.actorId.profilePhoto,
+        }
+      : null,
+    project: n.projectId ? { id: n.projectId._id.toString(), title: n.projectId.title } : null,
+    commentId: n.commentId?.toString() || null,
+    followRequestId: n.followRequestId?.toString() || null,
+    messageId: n.messageId?.toString() || null,
+    preview: n.preview || '',
+    count: n.count || 1,
+    read: n.read,
+    createdAt: n.createdAt,
+    updatedAt: n.updatedAt,
+  };
+}
+
+// My notifications, newest activity first. Query: limit, cursor, unread=true
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.query.unread === 'true') filter.read = false;
+    if (req.query.cursor) {
+      const values = decodeCursor(req.query.cursor);
+      if (!values || values.length !== SORT.length) return res.status(400).json({ error: 'Invalid cursor' });
+      Object.assign(filter, buildCursorFilter(SORT, values));
+    }
+
+    const { items, nextCursor, hasMore } = await paginate(
+      Notification.find(filter)
+        .populate('actorId', 'name username profilePhoto')
+        .populate('projectId', 'title')
+        .lean(),
+      { sortSpec: SORT, limit: parseLimit(req.query.limit) }
+    );
+    res.json({ notifications: items.map(formatNotification), nextCursor, hasMore });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Unread count (for the bell badge)
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ userId: req.user._id, read: false });
+    res.json({ count });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mark all as read - must be before /:id
+router.post('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user._id, read: false },
+      { read: true },
+      { timestamps: false }
+    );
+    res.json({ success: true, updated: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mark one as read
+router.post('/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { read: true },
+      { new: true, timestamps: false }
+    );
+    if (!notification) return res.status(404).json({ error: 'Notification not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -1,19 +1,220 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Project from '../models/Project.js';
 import User from '../models/User.js';
-import { authenticateToken } from '../middleware/auth.js';
+import ProjectRevision from '../models/ProjectRevision.js';
+import Comment from '../models/Comment.js';
+import { authenticateToken, optionalAuth, requireRole } from '../middleware/auth.js';
+import { upload, MAX_PROJECT_MEDIA } from '../middleware/upload.js';
+import {
+  uploadProjectMedia,
+  mediaTextError,
+  destroyMediaItems,
+  parseListField,
+  formatMedia,
+  coverMediaId,
+} from '../services/media.js';
+import { parseLimit, decodeCursor, buildCursorFilter, paginate } from '../utils/pagination.js';
+import { GALLERY_COUNTER, profileCounter, moveId, writeOrder } from '../services/ordering.js';
+import { notify, retractNotification } from '../services/notifications.js';
+import { removeProject, removeComment } from '../services/contentRemoval.js';
+import { isStaff, canViewProject, visibleProjectsFilter } from '../services/moderation.js';
+import { submitReport } from '../services/reports.js';
+import { isBlockedBetween, hiddenUserIds } from '../services/privacy.js';
 
 const router = express.Router();
 
-// Like project
-router.post('/:id/like', authenticateToken, async (req, res) => {
+// A malformed project id is a project that doesn't exist, not a CastError
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: 'Project not found' });
+  next();
+});
+
+// Loads req.project and rejects anyone but its owner
+async function requireProjectOwner(req, res, next) {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    if (project.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'You can only edit your own projects' });
+    }
+    req.project = project;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+function mediaResponse(project) {
+  return {
+    media: project.media.map(formatMedia),
+    coverMediaId: coverMediaId(project),
+  };
+}
+
+/* ---------- Ordering ---------- */
+
+function parsePosition(value) {
+  const position = Number(value);
+  return Number.isInteger(position) && position >= 0 ? position : null;
+}
+
+function isIdList(value) {
+  return Array.isArray(value) && value.every((id) => /^[a-fA-F0-9]{24}$/.test(String(id)));
+}
+
+// Current user's projects in profile order (first = top of profile)
+function loadProfileOrder(userId) {
+  return Project.find({ userId })
+    .select('profileOrder')
+    .sort({ profileOrder: -1, createdAt: -1, _id: -1 })
+    .lean();
+}
+
+// All projects in gallery order, pinned first
+function loadGalleryOrder() {
+  return Project.find()
+    .select('order')
+    .sort({ pinned: -1, order: 1, createdAt: -1, _id: -1 })
+    .lean();
+}
+
+// Reorder my whole profile. Body: { projectIds: [...] } listing every one of my projects.
+router.put('/profile-order', authenticateToken, async (req, res) => {
+  try {
+    const { projectIds } = req.body;
+    const docs = await loadProfileOrder(req.user._id);
+    const byId = new Map(docs.map((d) => [d._id.toString(), d]));
+    if (
+      !isIdList(projectIds) ||
+      projectIds.length !== docs.length ||
+      new Set(projectIds).size !== docs.length ||
+      !projectIds.every((id) => byId.has(String(id)))
+    ) {
+      return res.status(400).json({ error: 'projectIds must list every one of your projects exactly once' });
+    }
+
+    await writeOrder(Project, 'profileOrder', projectIds.map((id) => byId.get(String(id))), {
+      counterKey: profileCounter(req.user._id),
+      descending: true,
+    });
+    res.json({ projectIds: projectIds.map(String) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Move one of my projects on my profile. Body: { position } (0 = top)
+router.put('/:id/profile-position', authenticateToken, requireProjectOwner, async (req, res) => {
+  try {
+    const position = parsePosition(req.body.position);
+    if (position === null) return res.status(400).json({ error: 'position must be a non-negative integer' });
+
+    const docs = await loadProfileOrder(req.user._id);
+    const byId = new Map(docs.map((d) => [d._id.toString(), d]));
+    const ids = moveId(docs.map((d) => d._id.toString()), req.project._id.toString(), position);
+
+    await writeOrder(Project, 'profileOrder', ids.map((id) => byId.get(id)), {
+      counterKey: profileCounter(req.user._id),
+      descending: true,
+    });
+    res.json({ projectIds: ids });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Curate the front of the gallery (admin). Body: { projectIds: [...] } placed first,
+// in that order; every other project keeps its relative order after them.
+router.put('/gallery-order', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { projectIds } = req.body;
+    if (!isIdList(projectIds) || !projectIds.length || new Set(projectIds).size !== projectIds.length) {
+      return res.status(400).json({ error: 'projectIds must be a non-empty list of distinct project ids' });
+    }
+
+    const docs = await loadGalleryOrder();
+    const byId = new Map(docs.map((d) => [d._id.toString(), d]));
+    const missing = projectIds.filter((id) => !byId.has(String(id)));
+    if (missing.length) {
+      return res.status(400).json({ error: `Unknown project ids: ${missing.join(', ')}` });
+    }
+
+    const front = new Set(projectIds.map(String));
+    const ordered = [
+      ...projectIds.map((id) => byId.get(String(id))),
+      ...docs.filter((d) => !front.has(d._id.toString())),
+    ];
+    await writeOrder(Project, 'order', ordered, { counterKey: GALLERY_COUNTER });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Move one project in the gallery (admin). Body: { position } (0 = first)
+router.put('/:id/gallery-position', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const position = parsePosition(req.body.position);
+    if (position === null) return res.status(400).json({ error: 'position must be a non-negative integer' });
+
+    const docs = await loadGalleryOrder();
+    const byId = new Map(docs.map((d) => [d._id.toString(), d]));
+    if (!byId.has(req.params.id)) return res.status(404).json({ error: 'Project not found' });
+
+    const ids = moveId(docs.map((d) => d._id.toString()), req.params.id, position);
+    await writeOrder(Project, 'order', ids.map((id) => byId.get(id)), { counterKey: GALLERY_COUNTER });
+    res.json({ success: true, position: ids.indexOf(req.params.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pin / unpin a project to the top of the gallery (admin)
+router.put('/:id/pin', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const project = await Project.findByIdAndUpdate(
       req.params.id,
-      { $addToSet: { likes: req.user._id } },
+      { pinned: true, pinnedAt: new Date() },
       { new: true }
     );
     if (!project) return res.status(404).json({ error: 'Project not found' });
+    res.json({ pinned: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/:id/pin', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const project = await Project.findByIdAndUpdate(
+      req.params.id,
+      { pinned: false, pinnedAt: null },
+      { new: true }
+    );
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    res.json({ pinned: false });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Like project
+router.post('/:id/like', authenticateToken, async (req, res) => {
+  try {
+    // Only bump likeCount when the like is actually new. Hidden projects can't be liked
+    // by anyone who can't see them.
+    const visible = { _id: req.params.id, ...visibleProjectsFilter(req.user) };
+    const liked = await Project.findOneAndUpdate(
+      { ...visible, likes: { $ne: req.user._id } },
+      { $push: { likes: req.user._id }, $inc: { likeCount: 1 } },
+      { new: true }
+    );
+    const project = liked || (await Project.findOne(visible));
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    if (liked) {
+      notify({ userId: project.userId, actorId: req.user._id, type: 'like', projectId: project._id });
+    }
     res.json({
       liked: true,
       likeCount: project.likes?.length || 0,
@@ -26,12 +227,16 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
 // Unlike project
 router.delete('/:id/like', authenticateToken, async (req, res) => {
   try {
-    const project = await Project.findByIdAndUpdate(
-      req.params.id,
-      { $pull: { likes: req.user._id } },
+    const unliked = await Project.findOneAndUpdate(
+      { _id: req.params.id, likes: req.user._id },
+      { $pull: { likes: req.user._id }, $inc: { likeCount: -1 } },
       { new: true }
     );
+    const project = unliked || (await Project.findById(req.params.id));
     if (!project) return res.status(404).json({ error: 'Project not found' });
+    if (unliked) {
+      retractNotification({ actorId: req.user._id, type: 'like', projectId: project._id });
+    }
     res.json({
       liked: false,
       likeCount: project.likes?.length || 0,
@@ -41,46 +246,238 @@ router.delete('/:id/like', authenticateToken, async (req, res) => {
   }
 });
 
-// Add comment
+const MAX_COMMENT_LENGTH = 2000;
+
+function formatComment(c) {
+  const author = c.userId && typeof c.userId === 'object' && c.userId.name ? c.userId : null;
+  return {
+    id: c._id.toString(),
+    userId: c.deleted ? null : (author?._id || c.userId)?.toString() || null,
+    userName: c.deleted ? '' : author?.name || c.userName,
+    ...(!c.deleted && author && { user: { username: author.username, profilePhoto: author.profilePhoto } }),
+    text: c.deleted ? '' : c.text,
+    parentId: c.parentId?.toString() || null,
+    replyCount: c.replyCount || 0,
+    deleted: !!c.deleted,
+    ...(c.hidden && { hidden: true }),
+    editedAt: c.editedAt || null,
+    createdAt: c.createdAt,
+  };
+}
+
+function validateCommentText(text) {
+  if (!text?.trim()) return 'Comment text required';
+  if (text.trim().length > MAX_COMMENT_LENGTH) return `Comments can be at most ${MAX_COMMENT_LENGTH} characters`;
+  return null;
+}
+
+// List comments (public), cursor paginated. Top-level comments come newest first with
+// their replyCount; pass parentId to page through one thread's replies, oldest first.
+// Query: parentId, limit, cursor
+router.get('/:id/comments', optionalAuth, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select('userId commentCount commentsLocked hidden').lean();
+    if (!project || !canViewProject(project, req.user)) return res.status(404).json({ error: 'Project not found' });
+
+    const parentId = req.query.parentId || null;
+    // Replies to a hidden comment are hidden with it
+    if (parentId) {
+      const parent = await Comment.findOne({ _id: parentId, projectId: project._id }).select('hidden').lean();
+      if (!parent || (parent.hidden && !isStaff(req.user))) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+    }
+    const sortSpec = parentId ? [['createdAt', 1], ['_id', 1]] : [['createdAt', -1], ['_id', -1]];
+    const filter = { projectId: project._id, parentId };
+    // Signed-in viewers don't see comments from users they blocked or who blocked them
+    if (req.user) filter.userId = { $nin: await hiddenUserIds(req.user) };
+    // Comments taken down by a moderator are only listed for staff
+    if (!isStaff(req.user)) filter.hidden = { $ne: true };
+    if (req.query.cursor) {
+      const values = decodeCursor(req.query.cursor);
+      if (!values || values.length !== sortSpec.length) return res.status(400).json({ error: 'Invalid cursor' });
+      Object.assign(filter, buildCursorFilter(sortSpec, values));
+    }
+
+    const { items, nextCursor, hasMore } = await paginate(
+      Comment.find(filter).populate('userId', 'name username profilePhoto').lean(),
+      { sortSpec, limit: parseLimit(req.query.limit) }
+    );
+    res.json({
+      comments: items.map(formatComment),
+      commentCount: project.commentCount || 0,
+      commentsLocked: !!project.commentsLocked,
+      nextCursor,
+      hasMore,
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid id' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add comment. Body: { text, parentId? } - parentId replies to an existing comment.
 router.post('/:id/comments', authenticateToken, async (req, res) => {
   try {
-    const { text } = req.body;
-    if (!text?.trim()) return res.status(400).json({ error: 'Comment text required' });
+    const { text, parentId } = req.body;
+    const textError = validateCommentText(text);
+    if (textError) return res.status(400).json({ error: textError });
+
+    const project = await Project.findById(req.params.id).select('userId commentsLocked hidden');
+    if (!project || !canViewProject(project, req.user)) return res.status(404).json({ error: 'Project not found' });
 
-    const comment = {
+    const isOwner = project.userId?.toString() === req.user._id.toString();
+    if (project.commentsLocked && !isOwner) {
+      return res.status(403).json({ error: 'Comments are locked on this project' });
+    }
+    if (await isBlockedBetween(req.user._id, project.userId)) {
+      return res.status(403).json({ error: "You can't comment on this project" });
+    }
+
+    let rootId = null;
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, projectId: project._id }).select('parentId userId hidden').lean();
+      // Neither a hidden comment nor anything in a hidden thread takes new replies
+      const root = parent?.parentId ? await Comment.findById(parent.parentId).select('hidden').lean() : parent;
+      if (!parent || ((parent.hidden || root?.hidden) && !isStaff(req.user))) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+      if (await isBlockedBetween(req.user._id, parent.userId)) {
+        return res.status(403).json({ error: "You can't reply to this comment" });
+      }
+      rootId = parent.parentId || parent._id;
+    }
+
+    const comment = await Comment.create({
+      projectId: project._id,
       userId: req.user._id,
       userName: req.user.name,
+      parentId: rootId,
       text: text.trim(),
-    };
-
-    const project = await Project.findByIdAndUpdate(
-      req.params.id,
-      { $push: { comments: comment } },
+    });
+    if (rootId) await Comment.updateOne({ _id: rootId }, { $inc: { replyCount: 1 } });
+    const updated = await Project.findByIdAndUpdate(
+      project._id,
+      { $inc: { commentCount: 1 } },
       { new: true }
-    );
-    if (!project) return res.status(404).json({ error: 'Project not found' });
+    ).select('commentCount');
+
+    const refs = { actorId: req.user._id, projectId: project._id, commentId: comment._id, text: comment.text };
+    notify({ ...refs, userId: project.userId, type: 'comment' });
+    if (parent?.userId && parent.userId.toString() !== project.userId?.toString()) {
+      notify({ ...refs, userId: parent.userId, type: 'reply' });
+    }
 
-    const added = project.comments[project.comments.length - 1];
     res.status(201).json({
-      comment: {
-        id: added._id,
-        userId: added.userId,
-        userName: added.userName,
-        text: added.text,
-        createdAt: added.createdAt,
-      },
-      commentCount: project.comments?.length || 0,
+      comment: formatComment(comment),
+      commentCount: updated?.commentCount || 0,
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Lock / unlock comments on my project (owner only) - before /:commentId routes
+router.put('/:id/comments/lock', authenticateToken, requireProjectOwner, async (req, res) => {
+  try {
+    req.project.commentsLocked = true;
+    await req.project.save();
+    res.json({ commentsLocked: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/:id/comments/lock', authenticateToken, requireProjectOwner, async (req, res) => {
+  try {
+    req.project.commentsLocked = false;
+    await req.project.save();
+    res.json({ commentsLocked: false });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Edit my comment. Body: { text }
+router.patch('/:id/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const textError = validateCommentText(req.body.text);
+    if (textError) return res.status(400).json({ error: textError });
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, projectId: req.params.id });
+    if (!comment || comment.deleted) return res.status(404).json({ error: 'Comment not found' });
+    if (comment.userId?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    comment.text = req.body.text.trim();
+    comment.editedAt = new Date();
+    await comment.save();
+    res.json({ comment: formatComment(comment) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a comment (its author or the project owner). A comment that still has
+// replies is blanked out instead of removed so the thread stays readable.
+router.delete('/:id/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select('userId');
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    const comment = await Comment.findOne({ _id: req.params.commentId, projectId: project._id });
+    if (!comment || comment.deleted) return res.status(404).json({ error: 'Comment not found' });
+
+    const me = req.user._id.toString();
+    const isAuthor = comment.userId?.toString() === me;
+    const isOwner = project.userId?.toString() === me;
+    if (!isAuthor && !isOwner) {
+      return res.status(403).json({ error: 'You can only delete your own comments or comments on your projects' });
+    }
+
+    const commentCount = await removeComment(comment);
+    res.json({ success: true, commentCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Report a project. Body: { reason, details? } - reason is one of REPORT_REASONS
+router.post('/:id/report', authenticateToken, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select('userId hidden');
+    if (!project || !canViewProject(project, req.user)) return res.status(404).json({ error: 'Project not found' });
+    const { report, status, error } = await submitReport(req.user, 'project', project, req.body);
+    if (error) return res.status(status).json({ error });
+    res.status(201).json({ success: true, reportId: report._id.toString() });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid id' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Report a comment. Body: { reason, details? }
+router.post('/:id/comments/:commentId/report', authenticateToken, async (req, res) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, projectId: req.params.id });
+    if (!comment || comment.deleted || (comment.hidden && !isStaff(req.user))) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    const { report, status, error } = await submitReport(req.user, 'comment', comment, req.body);
+    if (error) return res.status(status).json({ error });
+    res.status(201).json({ success: true, reportId: report._id.toString() });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ error: 'Invalid id' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Save project
 router.post('/:id/save', authenticateToken, async (req, res) => {
   try {
-    const project = await Project.findByIdAndUpdate(
-      req.params.id,
+    const project = await Project.findOneAndUpdate(
+      { _id: req.params.id, ...visibleProjectsFilter(req.user) },
       { $addToSet: { savedBy: req.user._id } },
       { new: true }
     );
@@ -106,6 +503,253 @@ router.delete('/:id/save', authenticateToken, async (req, res) => {
   }
 });
 
+// Add media to a project (owner only). Same fields as project create: "media"
+// files with optional "captions"/"alts" lists.
+router.post('/:id/media', authenticateToken, requireProjectOwner, upload.array('media', MAX_PROJECT_MEDIA), async (req, res) => {
+  try {
+    const project = req.project;
+    if (!req.files?.length) {
+      return res.status(400).json({ error: 'Media file is required' });
+    }
+    if (project.media.length + req.files.length > MAX_PROJECT_MEDIA) {
+      return res.status(400).json({ error: `A project can have at most ${MAX_PROJECT_MEDIA} media items` });
+    }
+
+    const text = { captions: parseListField(req.body.captions), alts: parseListField(req.body.alts) };
+    const textError = mediaTextError(text);
+    if (textError) return res.status(400).json({ error: textError });
+
+    const media = await uploadProjectMedia(req.files, text);
+    if (!media) return res.status(500).json({ error: 'Media upload failed' });
+
+    try {
+      await ProjectRevision.saveWithRevision(project, req.user._id, 'media', () => project.media.push(...media));
+    } catch (err) {
+      await destroyMediaItems(media);
+      throw err;
+    }
+    res.status(201).json(mediaResponse(project));
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update caption / alt text of one media item (owner only)
+router.patch('/:id/media/:mediaId', authenticateToken, requireProjectOwner, async (req, res) => {
+  try {
+    const item = req.project.media.id(req.params.mediaId);
+    if (!item) return res.status(404).json({ error: 'Media not found' });
+
+    const { caption, alt } = req.body;
+    await ProjectRevision.saveWithRevision(req.project, req.user._id, 'media', () => {
+      if (caption !== undefined) item.caption = String(caption ?? '').trim();
+      if (alt !== undefined) item.alt = String(alt ?? '').trim();
+    });
+    res.json(mediaResponse(req.project));
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove one media item (owner only). A project always keeps at least one.
+// The asset itself stays while revisions reference it; scripts/reconcile-media.js
+// purges it once nothing does.
+router.delete('/:id/media/:mediaId', authenticateToken, requireProjectOwner, async (req, res) => {
+  try {
+    const project = req.project;
+    const item = project.media.id(req.params.mediaId);
+    if (!item) return res.status(404).json({ error: 'Media not found' });
+    if (project.media.length === 1) {
+      return res.status(400).json({ error: 'A project must keep at least one media item' });
+    }
+
+    await ProjectRevision.saveWithRevision(project, req.user._id, 'media', () => {
+      item.deleteOne();
+      if (project.coverMediaId?.toString() === req.params.mediaId) {
+        project.coverMediaId = project.media[0]._id;
+      }
+    });
+    res.json(mediaResponse(project));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reorder media (owner only). Body: { mediaIds: [...] } with every item exactly once.
+router.put('/:id/media/order', authenticateToken, requireProjectOwner, async (req, res) => {
+  try {
+    const project = req.project;
+    const { mediaIds } = req.body;
+    const current = project.media.map((m) => m._id.toString());
+    if (
+      !Array.isArray(mediaIds) ||
+      mediaIds.length !== current.length ||
+      new Set(mediaIds).size !== current.length ||
+      !mediaIds.every((id) => current.includes(String(id)))
+    ) {
+      return res.status(400).json({ error: 'mediaIds must list every media item of the project exactly once' });
+    }
+
+    const byId = new Map(project.media.map((m) => [m._id.toString(), m.toObject()]));
+    await ProjectRevision.saveWithRevision(project, req.user._id, 'media', () => {
+      project.media = mediaIds.map((id) => byId.get(String(id)));
+    });
+    res.json(mediaResponse(project));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Choose the cover item (owner only). Body: { mediaId }
+router.put('/:id/cover', authenticateToken, requireProjectOwner, async (req, res) => {
+  try {
+    const { mediaId } = req.body;
+    if (!mediaId || !req.project.media.id(mediaId)) {
+      return res.status(400).json({ error: 'mediaId must be one of the project media items' });
+    }
+    await ProjectRevision.saveWithRevision(req.project, req.user._id, 'media', () => {
+      req.project.coverMediaId = mediaId;
+    });
+    res.json(mediaResponse(req.project));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+function projectResponse(project) {
+  return {
+    id: project._id.toString(),
+    title: project.title,
+    description: project.description,
+    liveDemoUrl: project.liveDemoUrl || '',
+    codeUrl: project.codeUrl || '',
+    ...mediaResponse(project),
+    version: project.version || 1,
+    editedAt: project.editedAt,
+    createdAt: project.createdAt,
+  };
+}
+
+const EDITABLE_FIELDS = ['title', 'description', 'liveDemoUrl', 'codeUrl'];
+
+// Edit project details (owner only). Media is edited through the /media routes.
+router.patch('/:id', authenticateToken, requireProjectOwner, async (req, res) => {
+  try {
+    const project = req.project;
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      const value = String(req.body[field] ?? '').trim();
+      if ((field === 'title' || field === 'description') && !value) {
+        return res.status(400).json({ error: `${field === 'title' ? 'Title' : 'Description'} is required` });
+      }
+      if (value !== (project[field] || '')) updates[field] = value;
+    }
+
+    if (!Object.keys(updates).length) {
+      return res.json(projectResponse(project));
+    }
+
+    await ProjectRevision.saveWithRevision(project, req.user._id, 'edit', () => project.set(updates));
+    res.json(projectResponse(project));
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'Project was changed at the same time, please reload and try again' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+function revisionSummary(r) {
+  return {
+    id: r._id.toString(),
+    version: r.version,
+    action: r.action,
+    title: r.title,
+    editorId: r.editorId?.toString() || null,
+    createdAt: r.createdAt,
+  };
+}
+
+// List previous versions, newest first (owner only). Query: limit, cursor
+router.get('/:id/revisions', authenticateToken, requireProjectOwner, async (req, res) => {
+  try {
+    const sortSpec = [['version', -1]];
+    const filter = { projectId: req.project._id };
+    if (req.query.cursor) {
+      const values = decodeCursor(req.query.cursor);
+      if (!values || values.length !== 1) return res.status(400).json({ error: 'Invalid cursor' });
+      Object.assign(filter, buildCursorFilter(sortSpec, values));
+    }
+    const { items, nextCursor, hasMore } = await paginate(
+      ProjectRevision.find(filter).select('version action title editorId createdAt').lean(),
+      { sortSpec, limit: parseLimit(req.query.limit) }
+    );
+    res.json({
+      currentVersion: req.project.version || 1,
+      revisions: items.map(revisionSummary),
+      nextCursor,
+      hasMore,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Full snapshot of one revision (owner only)
+router.get('/:id/revisions/:revisionId', authenticateToken, requireProjectOwner, async (req, res) => {
+  try {
+    const revision = await ProjectRevision.findOne({
+      _id: req.params.revisionId,
+      projectId: req.project._id,
+    }).lean();
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    res.json({
+      ...revisionSummary(revision),
+      description: revision.description,
+      liveDemoUrl: revision.liveDemoUrl || '',
+      codeUrl: revision.codeUrl || '',
+      ...mediaResponse(revision),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Roll back to a revision (owner only). The current state is kept as a revision
+// too, so a rollback can itself be undone.
+router.post('/:id/revisions/:revisionId/restore', authenticateToken, requireProjectOwner, async (req, res) => {
+  try {
+    const project = req.project;
+    const revision = await ProjectRevision.findOne({
+      _id: req.params.revisionId,
+      projectId: project._id,
+    }).lean();
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+
+    await ProjectRevision.saveWithRevision(project, req.user._id, 'restore', () =>
+      project.set({
+        title: revision.title,
+        description: revision.description,
+        liveDemoUrl: revision.liveDemoUrl || '',
+        codeUrl: revision.codeUrl || '',
+        media: revision.media,
+        coverMediaId: revision.coverMediaId,
+      })
+    );
+    res.json(projectResponse(project));
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'Project was changed at the same time, please reload and try again' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Delete project (owner only)
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -114,7 +758,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     if (project.userId.toString() !== req.user._id.toString()) {
       return res.status(403).json({ error: 'You can only delete your own projects' });
     }
-    await Project.findByIdAndDelete(req.params.id);
+    await removeProject(project);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
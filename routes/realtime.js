@@ -0,0 +1,75 @@
+import express from 'express';
+import User from '../models/User.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { addClient, sendEvent } from '../services/realtime.js';
+import { activeSession, issueStreamTicket, redeemStreamTicket } from '../services/sessions.js';
+import { accountRestriction } from '../services/moderation.js';
+
+const router = express.Router();
+
+// Revoking a session closes its streams on this instance; this catches the rest
+// (other instances, expiry, suspensions that didn't revoke anything)
+const SESSION_CHECK_MS = 60 * 1000;
+
+// EventSource can't set headers, so browsers open the stream with ?ticket= from
+// POST /ticket; other clients can send the usual Authorization header
+async function authenticateStream(req, res, next) {
+  if (!req.query.ticket) return authenticateToken(req, res, next);
+  try {
+    const session = await redeemStreamTicket(String(req.query.ticket));
+    const user = session && (await User.findById(session.userId).select('-password'));
+    if (!user) return res.status(401).json({ error: 'Stream ticket is invalid or expired' });
+    const restriction = accountRestriction(user);
+    if (restriction) return res.status(403).json(restriction);
+    req.user = user;
+    req.authSession = session;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// Short-lived, single-use ticket for GET /stream?ticket=. Each reconnect needs a
+// new one, so clients reopen the stream themselves instead of relying on EventSource's retry.
+router.post('/ticket', authenticateToken, async (req, res) => {
+  try {
+    res.json(await issueStreamTicket(req.authSession));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Event stream for the current user. Events:
+//   message  - new message for me (or sent from another of my sessions)
+//   message_updated - a message was edited, unsent or reacted to
+//   message_deleted - { id }: I deleted a message for myself in another session
+//   read     - { by, at, groupId? }: someone read the messages I sent them
+//   typing   - { from, typing, groupId? }
+//   group    - a group I'm in was created or changed
+//   group_removed - { groupId }: I left or was removed from a group
+//   notification - new in-app notification
+router.get('/stream', authenticateStream, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  sendEvent(res, 'ready', { userId: req.user._id.toString() });
+  addClient(req.user._id, req.authSession._id, res);
+
+  const check = setInterval(async () => {
+    try {
+      const session = await activeSession(req.authSession._id, req.user._id);
+      const user = session && (await User.findById(req.user._id).select('status suspendedUntil statusReason'));
+      if (!user || accountRestriction(user)) res.end();
+    } catch (err) {
+      // Keep the stream; the next check tries again
+    }
+  }, SESSION_CHECK_MS);
+  res.on('close', () => clearInterval(check));
+});
+
+export default router;
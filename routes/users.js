@@ -1,63 +1,27 @@
 import express from 'express';
-import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
-import { v4 as uuidv4 } from 'uuid';
-import cloudinary from '../cloudinary.js';
-
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import { avatarUpload } from '../middleware/upload.js';
 import User from '../models/User.js';
 import Project from '../models/Project.js';
 import FollowRequest from '../models/FollowRequest.js';
-import { sendFollowRequestEmail } from '../services/email.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import {
+  sendFollowRequestEmail,
+  sendOtpEmail,
+  sendEmailChangedEmail,
+  sendDeletionScheduledEmail,
+} from '../services/email.js';
+import { notify, retractNotification, markNotificationsRead } from '../services/notifications.js';
+import { uploadAvatar, destroyMedia, mediaIdFromUrl, formatMedia, coverMediaId } from '../services/media.js';
+import { MESSAGE_PRIVACY, includesId, isBlockedBetween } from '../services/privacy.js';
+import { issueOtp, discardOtp, verifyOtp } from '../services/otp.js';
+import { scheduleDeletion, cancelDeletion } from '../services/accountDeletion.js';
+import { writeExport } from '../services/dataExport.js';
+import { sendConfirmationCode, confirmIdentity } from '../services/reauth.js';
+import { revokeSessions } from '../services/sessions.js';
+import { visibleProjectsFilter } from '../services/moderation.js';
 
 const router = express.Router();
 
-// const AVATARS_DIR = path.join(__dirname, '../uploads/avatars');
-// if (!fs.existsSync(AVATARS_DIR)) {
-//   fs.mkdirSync(AVATARS_DIR, { recursive: true });
-// }
-
-// const avatarStorage = multer.diskStorage({
-//   destination: (req, file, cb) => cb(null, AVATARS_DIR),
-//   filename: (req, file, cb) => {
-//     const ext = path.extname(file.originalname) || '.jpg';
-//     cb(null, `avatar-${uuidv4()}${ext}`);
-//   },
-// });
-
- const uploadAvatar = multer({
-  storage: multer.memoryStorage(), // ✅ correct
-  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
-  fileFilter: (req, file, cb) => {
-    const allowed = ['image/jpeg', 'image/png', 'image/webp'];
-    if (allowed.includes(file.mimetype)) cb(null, true);
-    else cb(new Error('Invalid image type'));
-  },
-});
-
-
-// cloudinary :
-const uploadAvatarToCloudinary = async (buffer) => {
-  return new Promise((resolve, reject) => {
-    cloudinary.uploader.upload_stream(
-      {
-        folder: 'avatars',
-        resource_type: 'image',
-      },
-      (error, result) => {
-        if (error) reject(error);
-        else resolve(result);
-      }
-    ).end(buffer);
-  });
-};
-
-
 // Get current user profile - must be before /:id
 router.get('/me', authenticateToken, async (req, res) => {
   try {
@@ -66,6 +30,8 @@ router.get('/me', authenticateToken, async (req, res) => {
       .populate('followers', 'name profilePhoto')
       .populate('following', 'name profilePhoto');
     const projectCount = await Project.countDocuments({ userId: req.user._id });
+    // Google-only accounts have no password and use set-password instead of change-password
+    const hasPassword = !!(await User.exists({ _id: req.user._id, password: { $ne: null } }));
     const obj = user.toObject();
     res.json({
       ...obj,
@@ -75,6 +41,7 @@ router.get('/me', authenticateToken, async (req, res) => {
       followerCount: user.followers?.length || 0,
       followingCount: user.following?.length || 0,
       projectCount,
+      hasPassword,
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -99,42 +66,237 @@ router.get('/connections/list', authenticateToken, async (req, res) => {
   }
 });
 
-// Get user profile by ID or username (public)
-router.get('/:id', async (req, res) => {
+function formatUserList(users) {
+  return (users || []).map((u) => ({
+    id: u._id.toString(),
+    name: u.name,
+    username: u.username || '',
+    profilePhoto: u.profilePhoto,
+  }));
+}
+
+// Users I blocked - must be before /:id
+router.get('/me/blocked', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).populate('blocked', 'name username profilePhoto').select('blocked').lean();
+    res.json(formatUserList(user.blocked));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Users I muted - must be before /:id
+router.get('/me/muted', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).populate('muted', 'name username profilePhoto').select('muted').lean();
+    res.json(formatUserList(user.muted));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Who may message me. Body: { messagePrivacy: 'everyone' | 'connections' | 'followers' }
+router.put('/me/privacy', authenticateToken, async (req, res) => {
+  try {
+    const { messagePrivacy } = req.body;
+    if (!MESSAGE_PRIVACY.includes(messagePrivacy)) {
+      return res.status(400).json({ error: `messagePrivacy must be one of: ${MESSAGE_PRIVACY.join(', ')}` });
+    }
+    await User.updateOne({ _id: req.user._id }, { messagePrivacy });
+    res.json({ messagePrivacy });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Download everything stored about me as a JSON archive, streamed as it is read
+router.get('/me/export', authenticateToken, async (req, res) => {
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="project-gallery-export-${date}.json"`,
+    });
+    if (!(await writeExport(req.user._id, res))) return res.status(404).json({ error: 'User not found' });
+    res.end();
+  } catch (err) {
+    // Once the archive has started there's no way to report an error but to cut it off
+    if (!res.headersSent) return res.status(500).json({ error: err.message });
+    res.destroy(err);
+  }
+});
+
+const CONFIRM_EMAIL_CHANGE = 'confirm-email-change';
+
+// Code for confirming an email change on an account without a password; sent to the
+// current address
+router.post('/me/email/confirm-code', authenticateToken, async (req, res) => {
+  try {
+    const { status, error, retryAfter } = await sendConfirmationCode(req.user, CONFIRM_EMAIL_CHANGE);
+    if (error) {
+      if (retryAfter) res.set('Retry-After', String(retryAfter));
+      return res.status(status).json({ error, ...(retryAfter && { retryAfter }) });
+    }
+    res.json({ success: true, message: 'OTP sent to your current email' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start an email change: sends a code to the new address. Body: { newEmail } plus
+// { password }, or for accounts without one { otp } from /me/email/confirm-code or a
+// 2FA { code | recoveryCode }
+router.post('/me/email', authenticateToken, async (req, res) => {
+  try {
+    const newEmail = req.body.newEmail?.toLowerCase().trim();
+    if (!newEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (newEmail === req.user.email) {
+      return res.status(400).json({ error: 'That is already your email' });
+    }
+    const confirmError = await confirmIdentity(req.user._id, CONFIRM_EMAIL_CHANGE, req.body);
+    if (confirmError) return res.status(400).json({ error: confirmError });
+    if (await User.exists({ email: newEmail })) {
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+
+    const { otp, error, retryAfter } = await issueOtp('email-change', newEmail);
+    if (error) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error, retryAfter });
+    }
+    const result = await sendOtpEmail({ toEmail: newEmail, otp }).catch((err) => ({ sent: false, reason: err.message }));
+    if (!result.sent) {
+      await discardOtp('email-change', newEmail);
+      return res.status(503).json({ error: result.reason || 'Failed to send OTP email' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { pendingEmail: newEmail });
+    res.json({ success: true, pendingEmail: newEmail, message: 'OTP sent to your new email' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Finish an email change with the code sent to the new address. Body: { otp }
+router.post('/me/email/verify', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user.pendingEmail) {
+      return res.status(400).json({ error: 'No email change in progress' });
+    }
+    const otpError = await verifyOtp('email-change', user.pendingEmail, req.body.otp);
+    if (otpError) return res.status(400).json({ error: otpError });
+    // The address may have been taken while the code was outstanding
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      user.pendingEmail = null;
+      await user.save();
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+
+    const oldEmail = user.email;
+    user.email = user.pendingEmail;
+    user.emailVerified = true;
+    user.pendingEmail = null;
+    await user.save();
+    // Whoever else holds a session may not know the account moved
+    await revokeSessions({ userId: user._id, _id: { $ne: req.authSession._id } });
+    sendEmailChangedEmail({ toEmail: oldEmail, newEmail: user.email }).catch(() => {});
+    res.json({ success: true, email: user.email });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'Email already registered' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Schedule my account for deletion. Body: { password }, or { confirm: 'DELETE' } for
+// accounts without a password. Other devices are signed out; the account and all its
+// content are purged after the grace period (scripts/purge-deleted-accounts.js)
+router.delete('/me', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.deletion?.scheduledFor) {
+      return res.json({ success: true, scheduledFor: req.user.deletion.scheduledFor });
+    }
+    const hasPassword = !!(await User.exists({ _id: req.user._id, password: { $ne: null } }));
+    if (hasPassword ? await confirmIdentity(req.user._id, 'delete-account', req.body) : req.body.confirm !== 'DELETE') {
+      return res.status(400).json({
+        error: hasPassword ? 'Password is incorrect' : 'Send confirm: "DELETE" to delete your account',
+      });
+    }
+    const scheduledFor = await scheduleDeletion(req.user, req.authSession?._id);
+    sendDeletionScheduledEmail({ toEmail: req.user.email, scheduledFor }).catch(() => {});
+    res.json({ success: true, scheduledFor });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Cancel a pending account deletion
+router.post('/me/deletion/cancel', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.deletion?.scheduledFor) {
+      return res.status(400).json({ error: 'Account is not scheduled for deletion' });
+    }
+    await cancelDeletion(req.user._id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get user profile by ID or username (public). Hidden from users the profile owner
+// has blocked; a profile I blocked comes back without projects.
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const param = req.params.id;
     const isMongoId = /^[a-fA-F0-9]{24}$/.test(param);
     let user = null;
     if (isMongoId) {
       user = await User.findById(param)
-        .select('name username profilePhoto bio')
+        .select('name username profilePhoto bio blocked')
         .populate('followers', 'name profilePhoto')
         .populate('following', 'name profilePhoto');
     }
     if (!user) {
       user = await User.findOne({ username: param.toLowerCase().trim() })
-        .select('name username profilePhoto bio')
+        .select('name username profilePhoto bio blocked')
         .populate('followers', 'name profilePhoto')
         .populate('following', 'name profilePhoto');
     }
-    if (!user) return res.status(404).json({ error: 'User not found' });
-
-    const projects = await Project.find({ userId: user._id })
-      .sort({ createdAt: -1 })
-      .lean();
+    if (!user || (req.user && includesId(user.blocked, req.user._id))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const blockedByMe = !!req.user && includesId(req.user.blocked, user._id);
+
+    // Only the viewer's own entry is pulled out of likes/savedBy, never the whole arrays
+    let projects = [];
+    if (!blockedByMe) {
+      const query = Project.find({ userId: user._id, ...visibleProjectsFilter(req.user) })
+        .select('title description media coverMediaId liveDemoUrl codeUrl likeCount commentCount hidden')
+        .sort({ profileOrder: -1, createdAt: -1 })
+        .lean();
+      if (req.user) {
+        query.select({
+          likes: { $elemMatch: { $eq: req.user._id } },
+          savedBy: { $elemMatch: { $eq: req.user._id } },
+        });
+      }
+      projects = await query;
+    }
 
     const formatted = projects.map((p) => ({
       id: p._id.toString(),
       title: p.title,
       description: p.description,
-      media: p.media,
+      media: (p.media || []).map(formatMedia),
+      coverMediaId: coverMediaId(p),
       liveDemoUrl: p.liveDemoUrl || '',
       codeUrl: p.codeUrl || '',
-      likeCount: p.likes?.length || 0,
-      commentCount: p.comments?.length || 0,
-      comments: p.comments || [],
-      likes: p.likes?.map((id) => id.toString()) || [],
-      savedBy: p.savedBy?.map((id) => id.toString()) || [],
+      likeCount: p.likeCount || 0,
+      commentCount: p.commentCount || 0,
+      ...(p.hidden && { hidden: true }),
+      ...(req.user && { liked: !!p.likes?.length, saved: !!p.savedBy?.length }),
     }));
 
     res.json({
@@ -146,6 +308,8 @@ router.get('/:id', async (req, res) => {
       followerCount: user.followers?.length || 0,
       followingCount: user.following?.length || 0,
       projects: formatted,
+      blocked: blockedByMe,
+      muted: !!req.user && includesId(req.user.muted, user._id),
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -156,7 +320,7 @@ router.get('/:id', async (req, res) => {
 router.put(
   '/me',
   authenticateToken,
-  uploadAvatar.single('profilePhoto'),
+  avatarUpload.single('profilePhoto'),
   async (req, res) => {
     try {
       const updates = {};
@@ -167,11 +331,6 @@ router.put(
       if (req.body.bio !== undefined)
         updates.bio = (req.body.bio || '').trim().slice(0, 500);
 
-      if (req.file) {
-        const result = await uploadAvatarToCloudinary(req.file.buffer);
-        updates.profilePhoto = result.secure_url;
-      }
-
       // username validation (unchanged)
       const usernameRaw = req.body.username?.trim()?.toLowerCase();
       if (usernameRaw) {
@@ -193,11 +352,35 @@ router.put(
         updates.username = usernameRaw;
       }
 
+      // Upload last so a rejected update doesn't leave an unused asset behind
+      if (req.file) {
+        const result = await uploadAvatar(req.file);
+        if (!result) {
+          return res.status(500).json({ error: 'Profile photo upload failed' });
+        }
+        updates.profilePhoto = result.url;
+        updates.profilePhotoId = result.id;
+      }
+
       const user = await User.findByIdAndUpdate(req.user._id, updates, {
         new: true,
         runValidators: true,
       }).select('-password');
 
+      // Replaced avatar: drop the old asset
+      const oldPhotoId = req.user.profilePhotoId || mediaIdFromUrl(req.user.profilePhoto)?.id;
+      if (updates.profilePhotoId && oldPhotoId && oldPhotoId !== updates.profilePhotoId) {
+        await destroyMedia(oldPhotoId);
+      }
+
+      // Keep the owner fields used by project search in sync
+      if (updates.name !== undefined || updates.username !== undefined) {
+        await Project.updateMany(
+          { userId: user._id },
+          { ownerName: user.name, ownerUsername: user.username || '' }
+        );
+      }
+
       res.json({
         user: {
           id: user._id.toString(),
@@ -223,8 +406,11 @@ router.post('/:id/follow', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Cannot follow yourself' });
     }
 
-    const target = await User.findById(targetId).select('name email');
+    const target = await User.findById(targetId).select('name email muted');
     if (!target) return res.status(404).json({ error: 'User not found' });
+    if (await isBlockedBetween(req.user._id, target._id)) {
+      return res.status(403).json({ error: "You can't follow this user" });
+    }
 
     const existing = await FollowRequest.findOne({
       fromUserId: req.user._id,
@@ -243,17 +429,20 @@ router.post('/:id/follow', authenticateToken, async (req, res) => {
       return res.json({ success: true, following: true });
     }
 
-    await FollowRequest.create({
+    const request = await FollowRequest.create({
       fromUserId: req.user._id,
       toUserId: targetId,
       status: 'pending',
     });
+    notify({ userId: targetId, actorId: req.user._id, type: 'follow_request', followRequestId: request._id });
 
-    await sendFollowRequestEmail({
-      toEmail: target.email,
-      toName: target.name,
-      fromName: req.user.name,
-    });
+    if (!includesId(target.muted, req.user._id)) {
+      await sendFollowRequestEmail({
+        toEmail: target.email,
+        toName: target.name,
+        fromName: req.user.name,
+      });
+    }
 
     res.json({ success: true, requested: true });
   } catch (err) {
@@ -265,11 +454,12 @@ router.post('/:id/follow', authenticateToken, async (req, res) => {
 router.delete('/:id/follow', authenticateToken, async (req, res) => {
   try {
     const targetId = req.params.id;
-    await FollowRequest.findOneAndDelete({
+    const cancelled = await FollowRequest.findOneAndDelete({
       fromUserId: req.user._id,
       toUserId: targetId,
       status: 'pending',
     });
+    if (cancelled) retractNotification({ followRequestId: cancelled._id });
     await User.findByIdAndUpdate(req.user._id, { $pull: { following: targetId } });
     await User.findByIdAndUpdate(targetId, { $pull: { followers: req.user._id } });
     res.json({ success: true, following: false, requested: false });
@@ -314,6 +504,9 @@ router.post('/follow-requests/:id/accept', authenticateToken, async (req, res) =
     await User.findByIdAndUpdate(request.fromUserId, { $addToSet: { following: req.user._id } });
     await User.findByIdAndUpdate(req.user._id, { $addToSet: { followers: request.fromUserId } });
 
+    markNotificationsRead({ userId: req.user._id, followRequestId: request._id });
+    notify({ userId: request.fromUserId, actorId: req.user._id, type: 'follow_accepted', followRequestId: request._id });
+
     res.json({ success: true, following: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -331,6 +524,7 @@ router.post('/follow-requests/:id/decline', authenticateToken, async (req, res)
     if (!request) return res.status(404).json({ error: 'Request not found' });
 
     await FollowRequest.findByIdAndUpdate(req.params.id, { status: 'declined' });
+    markNotificationsRead({ userId: req.user._id, followRequestId: request._id });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -385,6 +579,9 @@ router.post('/:id/connect', authenticateToken, async (req, res) => {
 
     const target = await User.findById(targetId).select('name profilePhoto');
     if (!target) return res.status(404).json({ error: 'User not found' });
+    if (await isBlockedBetween(req.user._id, target._id)) {
+      return res.status(403).json({ error: "You can't connect with this user" });
+    }
 
     await User.findByIdAndUpdate(req.user._id, { $addToSet: { connections: targetId } });
     await User.findByIdAndUpdate(targetId, { $addToSet: { connections: req.user._id } });
@@ -399,6 +596,74 @@ router.post('/:id/connect', authenticateToken, async (req, res) => {
   }
 });
 
+// Block a user: drops follows, connections and pending follow requests both ways
+router.post('/:id/block', authenticateToken, async (req, res) => {
+  try {
+    const targetId = req.params.id;
+    if (targetId === req.user._id.toString()) {
+      return res.status(400).json({ error: 'Cannot block yourself' });
+    }
+    const target = await User.findById(targetId).select('_id');
+    if (!target) return res.status(404).json({ error: 'User not found' });
+
+    const me = req.user._id;
+    await User.findByIdAndUpdate(me, {
+      $addToSet: { blocked: target._id },
+      $pull: { following: target._id, followers: target._id, connections: target._id },
+    });
+    await User.findByIdAndUpdate(target._id, {
+      $pull: { following: me, followers: me, connections: me },
+    });
+    const requests = await FollowRequest.find({
+      status: 'pending',
+      $or: [
+        { fromUserId: me, toUserId: target._id },
+        { fromUserId: target._id, toUserId: me },
+      ],
+    }).select('_id');
+    for (const r of requests) retractNotification({ followRequestId: r._id });
+    await FollowRequest.deleteMany({ _id: { $in: requests.map((r) => r._id) } });
+
+    res.json({ success: true, blocked: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/:id/block', authenticateToken, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $pull: { blocked: req.params.id } });
+    res.json({ success: true, blocked: false });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mute a user: no notifications or emails from them, nothing else changes
+router.post('/:id/mute', authenticateToken, async (req, res) => {
+  try {
+    const targetId = req.params.id;
+    if (targetId === req.user._id.toString()) {
+      return res.status(400).json({ error: 'Cannot mute yourself' });
+    }
+    const target = await User.findById(targetId).select('_id');
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    await User.findByIdAndUpdate(req.user._id, { $addToSet: { muted: target._id } });
+    res.json({ success: true, muted: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/:id/mute', authenticateToken, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $pull: { muted: req.params.id } });
+    res.json({ success: true, muted: false });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Check if connected with user
 router.get('/:id/connected', authenticateToken, async (req, res) => {
   try {
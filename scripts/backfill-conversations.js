@@ -0,0 +1,117 @@
+// One-off: build the denormalised conversation records (last message, per-member
+// unread counts) from existing messages. Direct chats get a conversation created;
+// groups get their preview and counts filled in. Safe to re-run.
+// Usage: node scripts/backfill-conversations.js
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import Conversation, { directKey, lastMessageSnapshot } from '../models/Conversation.js';
+
+async function backfillDirect() {
+  const pairs = Message.aggregate([
+    { $match: { conversationId: null, receiverId: { $ne: null } } },
+    {
+      $addFields: {
+        pair: {
+          $cond: [
+            { $lt: ['$senderId', '$receiverId'] },
+            ['$senderId', '$receiverId'],
+            ['$receiverId', '$senderId'],
+          ],
+        },
+      },
+    },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $group: {
+        _id: '$pair',
+        last: { $first: '$$ROOT' },
+        firstAt: { $min: '$createdAt' },
+        ...Object.fromEntries(
+          [0, 1].flatMap((i) => {
+            const unreadFor = {
+              $and: [{ $eq: ['$read', false] }, { $eq: ['$receiverId', { $arrayElemAt: ['$pair', i] }] }],
+            };
+            return [
+              [`unread${i}`, { $sum: { $cond: [unreadFor, 1, 0] } }],
+              [`firstUnreadAt${i}`, { $min: { $cond: [unreadFor, '$createdAt', null] } }],
+            ];
+          })
+        ),
+      },
+    },
+  ])
+    .allowDiskUse(true)
+    .cursor();
+
+  let count = 0;
+  for await (const p of pairs) {
+    const lastReadAt = (i) =>
+      p[`firstUnreadAt${i}`] ? new Date(p[`firstUnreadAt${i}`].getTime() - 1) : p.last.createdAt;
+    await Conversation.collection.updateOne(
+      { directKey: directKey(p._id[0], p._id[1]) },
+      {
+        $set: {
+          type: 'direct',
+          members: p._id.map((userId, i) => ({
+            userId,
+            role: 'member',
+            joinedAt: p.firstAt,
+            lastReadAt: lastReadAt(i),
+            unreadCount: p[`unread${i}`],
+          })),
+          lastMessage: lastMessageSnapshot(p.last),
+          lastMessageAt: p.last.createdAt,
+        },
+        $setOnInsert: { createdAt: p.firstAt, updatedAt: new Date(), __v: 0 },
+      },
+      { upsert: true }
+    );
+    count += 1;
+  }
+  return count;
+}
+
+async function backfillGroups() {
+  let count = 0;
+  for await (const group of Conversation.find({ type: { $ne: 'direct' } }).lean().cursor()) {
+    const last = await Message.findOne({ conversationId: group._id }).sort({ createdAt: -1, _id: -1 }).lean();
+    const members = [];
+    for (const m of group.members) {
+      const unreadCount = await Message.countDocuments({
+        conversationId: group._id,
+        senderId: { $ne: m.userId },
+        createdAt: { $gt: m.lastReadAt || new Date(0) },
+      });
+      members.push({ ...m, unreadCount });
+    }
+    await Conversation.collection.updateOne(
+      { _id: group._id },
+      {
+        $set: {
+          type: 'group',
+          members,
+          lastMessage: last ? lastMessageSnapshot(last) : null,
+          lastMessageAt: last?.createdAt || group.lastMessageAt || group.createdAt,
+        },
+      }
+    );
+    count += 1;
+  }
+  return count;
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Conversation.syncIndexes();
+  const direct = await backfillDirect();
+  const groups = await backfillGroups();
+  console.log(`Backfilled ${direct} direct conversations and ${groups} groups`);
+}
+
+run()
+  .catch((err) => {
+    console.error('Conversation backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
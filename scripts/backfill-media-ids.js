@@ -0,0 +1,35 @@
+// One-off: give legacy project media items an _id and type so they can be
+// addressed by the media endpoints, and default the cover to the first item.
+// Usage: node scripts/backfill-media-ids.js
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const cursor = Project.collection.find({ 'media._id': { $exists: false }, 'media.0': { $exists: true } });
+  let updated = 0;
+  for await (const project of cursor) {
+    const media = project.media.map((m) => ({
+      _id: m._id || new mongoose.Types.ObjectId(),
+      type: m.type || (/\.(mp4|webm)$/i.test(m.url || '') ? 'video' : 'image'),
+      caption: '',
+      alt: '',
+      ...m,
+    }));
+    await Project.collection.updateOne(
+      { _id: project._id },
+      { $set: { media, coverMediaId: project.coverMediaId || media[0]._id } }
+    );
+    updated += 1;
+  }
+  console.log(`Assigned media ids on ${updated} projects`);
+}
+
+run()
+  .catch((err) => {
+    console.error('Backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
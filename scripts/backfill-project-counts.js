@@ -0,0 +1,32 @@
+// One-off: fill likeCount/commentCount on projects created before the counters existed.
+// Usage: node scripts/backfill-project-counts.js
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const result = await Project.collection.updateMany({}, [
+    {
+      $set: {
+        likeCount: { $size: { $ifNull: ['$likes', []] } },
+        // Only projects still holding embedded comments; migrated ones keep their counter
+        commentCount: {
+          $cond: [{ $isArray: '$comments' }, { $size: '$comments' }, { $ifNull: ['$commentCount', 0] }],
+        },
+      },
+    },
+  ]);
+  console.log(`Updated counts on ${result.modifiedCount} projects`);
+
+  await Project.syncIndexes();
+  console.log('Project indexes synced');
+}
+
+run()
+  .catch((err) => {
+    console.error('Backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,41 @@
+// One-off: give every project a distinct gallery `order`, seed per-owner
+// `profileOrder` (newest first) and raise the counters new projects draw from.
+// Usage: node scripts/backfill-project-order.js
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import { GALLERY_COUNTER, profileCounter, writeOrder } from '../services/ordering.js';
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  await Project.collection.updateMany({ pinned: { $exists: false } }, { $set: { pinned: false, pinnedAt: null } });
+
+  const gallery = await Project.find()
+    .select('order')
+    .sort({ pinned: -1, order: 1, createdAt: -1, _id: -1 })
+    .lean();
+  await writeOrder(Project, 'order', gallery, { counterKey: GALLERY_COUNTER });
+  console.log(`Renumbered gallery order for ${gallery.length} projects`);
+
+  const ownerIds = await Project.distinct('userId');
+  for (const ownerId of ownerIds) {
+    if (!ownerId) continue;
+    const docs = await Project.collection
+      .find({ userId: ownerId }, { projection: { profileOrder: 1 } })
+      .sort({ profileOrder: -1, createdAt: -1, _id: -1 })
+      .toArray();
+    await writeOrder(Project, 'profileOrder', docs, { counterKey: profileCounter(ownerId), descending: true });
+  }
+  console.log(`Seeded profile order for ${ownerIds.length} owners`);
+
+  await Project.syncIndexes();
+  console.log('Project indexes synced');
+}
+
+run()
+  .catch((err) => {
+    console.error('Backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
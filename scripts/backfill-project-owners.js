@@ -0,0 +1,33 @@
+// One-off: copy owner name/username onto projects for the search index.
+// Usage: node scripts/backfill-project-owners.js
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const ownerIds = await Project.distinct('userId');
+  const owners = await User.find({ _id: { $in: ownerIds } }).select('name username').lean();
+
+  let updated = 0;
+  for (const owner of owners) {
+    const result = await Project.updateMany(
+      { userId: owner._id },
+      { ownerName: owner.name, ownerUsername: owner.username || '' }
+    );
+    updated += result.modifiedCount;
+  }
+  console.log(`Updated owner fields on ${updated} projects`);
+
+  await Project.syncIndexes();
+  console.log('Project indexes synced');
+}
+
+run()
+  .catch((err) => {
+    console.error('Backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
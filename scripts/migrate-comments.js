@@ -0,0 +1,75 @@
+// One-off: move comments embedded in project documents into the project_comment
+// collection, keeping their ids and timestamps. Safe to re-run.
+// Usage: node scripts/migrate-comments.js
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import Comment from '../models/Comment.js';
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Comment.syncIndexes();
+
+  // Read the raw collection: `comments` is no longer part of the Project schema
+  const cursor = Project.collection.find(
+    { comments: { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+
+  let projects = 0;
+  let moved = 0;
+  for await (const project of cursor) {
+    const comments = project.comments || [];
+    const replyCounts = new Map();
+    for (const c of comments) {
+      if (c.parentId) {
+        const key = c.parentId.toString();
+        replyCounts.set(key, (replyCounts.get(key) || 0) + 1);
+      }
+    }
+
+    if (comments.length) {
+      await Comment.collection.bulkWrite(
+        comments.map((c) => ({
+          updateOne: {
+            filter: { _id: c._id },
+            update: {
+              $setOnInsert: {
+                projectId: project._id,
+                userId: c.userId || null,
+                userName: c.userName || '',
+                parentId: c.parentId || null,
+                text: c.text || '',
+                deleted: !!c.deleted,
+                editedAt: c.editedAt || null,
+                replyCount: replyCounts.get(c._id.toString()) || 0,
+                createdAt: c.createdAt || project._id.getTimestamp(),
+                updatedAt: c.editedAt || c.createdAt || project._id.getTimestamp(),
+              },
+            },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+    }
+
+    await Project.collection.updateOne(
+      { _id: project._id },
+      {
+        $set: { commentCount: comments.filter((c) => !c.deleted).length },
+        $unset: { comments: '' },
+      }
+    );
+    projects += 1;
+    moved += comments.length;
+  }
+  console.log(`Moved ${moved} comments out of ${projects} projects`);
+}
+
+run()
+  .catch((err) => {
+    console.error('Comment migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,19 @@
+// Permanently delete accounts whose deletion grace period is over, with their
+// projects, comments, messages, cards and media. Run it on a schedule (e.g. daily).
+// Usage: node scripts/purge-deleted-accounts.js
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { purgeDueAccounts } from '../services/accountDeletion.js';
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const purged = await purgeDueAccounts();
+  console.log(`Purged ${purged} accounts`);
+}
+
+run()
+  .catch((err) => {
+    console.error('Account purge failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,37 @@
+// Find stored media (in the configured STORAGE_DRIVER) that no project, revision,
+// avatar or user card references.
+// Dry run by default; pass --purge to delete them.
+// Usage: node scripts/reconcile-media.js [--purge] [--grace-hours=24]
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { findOrphanedMedia, purgeMedia } from '../services/mediaCleanup.js';
+
+const purge = process.argv.includes('--purge');
+const graceArg = process.argv.find((a) => a.startsWith('--grace-hours='));
+const graceHours = graceArg ? Number(graceArg.split('=')[1]) : 24;
+
+async function run() {
+  if (!Number.isFinite(graceHours) || graceHours < 0) {
+    throw new Error('--grace-hours must be a non-negative number');
+  }
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const orphans = await findOrphanedMedia({ graceHours });
+  const bytes = orphans.reduce((sum, o) => sum + (o.bytes || 0), 0);
+  orphans.forEach((o) => console.log(`${o.resourceType}\t${o.id}\t${o.createdAt.toISOString()}`));
+  console.log(`${orphans.length} orphaned assets (${(bytes / 1024 / 1024).toFixed(1)} MB)`);
+
+  if (!purge) {
+    console.log('Dry run - pass --purge to delete them');
+    return;
+  }
+  const deleted = await purgeMedia(orphans);
+  console.log(`Deleted ${deleted} assets`);
+}
+
+run()
+  .catch((err) => {
+    console.error('Media reconciliation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
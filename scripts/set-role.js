@@ -0,0 +1,26 @@
+// Give a user a role, e.g. to make the first admin, who can then manage roles
+// through PUT /api/admin/users/:id/role.
+// Usage: node scripts/set-role.js <email> <user|moderator|admin>
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { ROLES } from '../services/moderation.js';
+
+const [email, role] = process.argv.slice(2);
+
+async function run() {
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: node scripts/set-role.js <email> <${ROLES.join('|')}>`);
+  }
+  await mongoose.connect(process.env.MONGODB_URI);
+  const user = await User.findOneAndUpdate({ email: email.toLowerCase().trim() }, { role }, { new: true });
+  if (!user) throw new Error(`No user with email ${email}`);
+  console.log(`${user.email} is now ${user.role}`);
+}
+
+run()
+  .catch((err) => {
+    console.error('Setting role failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
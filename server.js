@@ -1,27 +1,44 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
 import mongoose from 'mongoose';
-import { fileURLToPath } from 'url';
-import { v4 as uuidv4 } from 'uuid';
-import cloudinary from './cloudinary.js';
+import path from 'path';
 
 import passport from 'passport';
 import authRoutes, { initPassport } from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import projectRoutes from './routes/projects.js';
 import messageRoutes from './routes/messages.js';
-import { authenticateToken } from './middleware/auth.js';
+import groupRoutes from './routes/groups.js';
+import adminRoutes from './routes/admin.js';
+import notificationRoutes from './routes/notifications.js';
+import realtimeRoutes from './routes/realtime.js';
+import { authenticateToken, optionalAuth } from './middleware/auth.js';
+import { upload, cleanupTempUploads, MAX_PROJECT_MEDIA } from './middleware/upload.js';
+import {
+  storeUpload,
+  uploadProjectMedia,
+  mediaTextError,
+  uploadCardPhoto,
+  destroyMedia,
+  destroyMediaItems,
+  parseListField,
+  formatMedia,
+  coverMediaId,
+} from './services/media.js';
+import storage from './services/storage/index.js';
+import { LOCAL_MEDIA_DIR, IMAGE_EXTENSIONS } from './services/storage/local.js';
+import { parseLimit, encodeCursor, decodeCursor, buildCursorFilter, paginate } from './utils/pagination.js';
+import { searchTerms, highlightMatches } from './utils/highlight.js';
 import Project from './models/Project.js';
 import User from './models/User.js';
 import locationRoutes from './routes/location.js';
 import UserCard from './models/UserCard.js';
+import Counter from './models/Counter.js';
+import { GALLERY_COUNTER, profileCounter } from './services/ordering.js';
+import { visibleProjectsFilter, canViewProject } from './services/moderation.js';
+import { submitReport } from './services/reports.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -35,49 +52,12 @@ mongoose
     process.exit(1);
   });
 
-// Ensure uploads directory exists
-const UPLOADS_DIR = path.join(__dirname, 'uploads');
-if (!fs.existsSync(UPLOADS_DIR)) {
-  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-}
-
-// Multer config for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOADS_DIR);
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname) || getExtensionFromMimetype(file.mimetype);
-    const filename = `${uuidv4()}${ext}`;
-    cb(null, filename);
-  },
-});
-
-function getExtensionFromMimetype(mimetype) {
-  const map = {
-    'image/jpeg': '.jpg',
-    'image/png': '.png',
-    'image/webp': '.webp',
-    'video/mp4': '.mp4',
-    'video/webm': '.webm',
-  };
-  return map[mimetype] || '.bin';
-}
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB
-  fileFilter: (req, file, cb) => {
-    const allowed = ['image/jpeg', 'image/png', 'image/webp', 'video/mp4', 'video/webm'];
-    if (allowed.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Allowed: JPEG, PNG, WebP, MP4, WebM'));
-    }
-  },
-});
-
 initPassport();
+// Behind a proxy (e.g. a PaaS load balancer) set TRUST_PROXY so req.ip is the client's
+// address, which the session list shows
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 const frontendUrl = process.env.FRONTEND_URL;
 // ? frontendUrl.split(',').map((u) => u.trim()).filter(Boolean) : true
 app.use(
@@ -88,22 +68,7 @@ app.use(
 );
 app.use(express.json());
 app.use(passport.initialize());
-
-// cloudinary :
-const uploadOnCloudinary = async (localFilePath) => {
-  try {
-    const result = await cloudinary.uploader.upload(localFilePath, {
-      resource_type: "auto",
-    });
-    fs.unlinkSync(localFilePath);
-    // console.log(result);
-    return result;
-    
-  } catch (err) {
-    if (fs.existsSync(localFilePath)) fs.unlinkSync(localFilePath);
-    return null;
-  }
-};
+app.use(cleanupTempUploads);
 
 app.post("/api/media", upload.single("file"), async (req, res) => {
   try {
@@ -111,73 +76,247 @@ app.post("/api/media", upload.single("file"), async (req, res) => {
       return res.status(400).json({ message: "No file uploaded" });
     }
 
-    const result = await uploadOnCloudinary(req.file.path);
+    const result = await storeUpload(req.file, { folder: "uploads" });
 
     if (!result) {
       return res.status(500).json({ message: "Upload failed" });
     }
 
-    res.json({ success: true, url: result.secure_url });
+    res.json({ success: true, url: result.url });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
 
-// Serve uploaded media files
-// app.use('/api/media', express.static(UPLOADS_DIR));
+// Serve uploaded media files (local storage driver only). Browsers must not sniff a
+// different type, and anything but an image is downloaded rather than rendered.
+if (storage.name === 'local') {
+  app.use(
+    '/api/media',
+    express.static(LOCAL_MEDIA_DIR, {
+      setHeaders: (res, filePath) => {
+        res.set('X-Content-Type-Options', 'nosniff');
+        if (!IMAGE_EXTENSIONS.includes(path.extname(filePath).slice(1).toLowerCase())) {
+          res.set('Content-Disposition', 'attachment');
+        }
+      },
+    })
+  );
+}
 
 // Auth routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/realtime', realtimeRoutes);
+
+// Sort modes for the project list; every spec ends in _id so cursors are unique
+const PROJECT_SORTS = {
+  order: [['pinned', -1], ['order', 1], ['createdAt', -1], ['_id', -1]],
+  profile: [['profileOrder', -1], ['createdAt', -1], ['_id', -1]],
+  newest: [['createdAt', -1], ['_id', -1]],
+  likes: [['likeCount', -1], ['createdAt', -1], ['_id', -1]],
+  comments: [['commentCount', -1], ['createdAt', -1], ['_id', -1]],
+};
+
+function parseBoolean(value) {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+}
 
-// Get all projects (public - no auth required)
-app.get('/api/projects', async (req, res) => {
+function parseDate(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Filter on a URL field being set (true) or empty (false)
+function urlPresenceFilter(field, wanted) {
+  return wanted ? { [field]: { $nin: ['', null] } } : { [field]: { $in: ['', null] } };
+}
+
+// Lean query for list views. Only the viewer's own entry is pulled out of
+// likes/savedBy, never the whole arrays.
+function findProjectSummaries(filter, viewer) {
+  const query = Project.find(filter)
+    .select('title description media coverMediaId order pinned profileOrder createdAt liveDemoUrl codeUrl likeCount commentCount userId hidden')
+    .populate('userId', 'name username profilePhoto')
+    .lean();
+  if (viewer) {
+    query.select({
+      likes: { $elemMatch: { $eq: viewer._id } },
+      savedBy: { $elemMatch: { $eq: viewer._id } },
+    });
+  }
+  return query;
+}
+
+function formatProjectSummary(p, viewer) {
+  return {
+    id: p._id.toString(),
+    title: p.title,
+    description: p.description,
+    media: (p.media || []).map(formatMedia),
+    coverMediaId: coverMediaId(p),
+    order: p.order,
+    pinned: !!p.pinned,
+    createdAt: p.createdAt,
+    liveDemoUrl: p.liveDemoUrl || '',
+    codeUrl: p.codeUrl || '',
+    likeCount: p.likeCount || 0,
+    commentCount: p.commentCount || 0,
+    ...(p.hidden && { hidden: true }),
+    ...(viewer && { liked: !!p.likes?.length, saved: !!p.savedBy?.length }),
+    user: p.userId
+      ? { id: p.userId._id.toString(), name: p.userId.name, username: p.userId.username, profilePhoto: p.userId.profilePhoto }
+      : null,
+  };
+}
+
+// Get projects (public - no auth required), cursor paginated
+// Query: limit, cursor, sort (order|profile|newest|likes|comments), owner (id or username),
+// from, to (createdAt range), hasLiveDemo, hasCode
+app.get('/api/projects', optionalAuth, async (req, res) => {
   try {
-    const projects = await Project.find()
-      .sort({ order: 1, createdAt: -1 })
-      .populate('userId', 'name username profilePhoto')
-      .lean();
-    const formatted = projects.map((p) => ({
-      id: p._id.toString(),
-      title: p.title,
-      description: p.description,
-      media: p.media,
-      order: p.order,
-      createdAt: p.createdAt,
-      liveDemoUrl: p.liveDemoUrl || '',
-      codeUrl: p.codeUrl || '',
-      likeCount: p.likes?.length || 0,
-      commentCount: p.comments?.length || 0,
-      comments: p.comments || [],
-      likes: p.likes?.map((id) => id.toString()) || [],
-      savedBy: p.savedBy?.map((id) => id.toString()) || [],
-      user: p.userId
-        ? { id: p.userId._id.toString(), name: p.userId.name, username: p.userId.username, profilePhoto: p.userId.profilePhoto }
-        : null,
-    }));
-    res.json(formatted);
+    const sortKey = req.query.sort || 'order';
+    const sortSpec = PROJECT_SORTS[sortKey];
+    if (!sortSpec) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(PROJECT_SORTS).join(', ')}` });
+    }
+    if (sortKey === 'profile' && !req.query.owner) {
+      return res.status(400).json({ error: 'sort=profile requires owner' });
+    }
+    const limit = parseLimit(req.query.limit);
+
+    // Projects taken down by a moderator only show to their owner and staff
+    const filters = [visibleProjectsFilter(req.user)];
+
+    if (req.query.owner) {
+      const owner = String(req.query.owner).trim();
+      let ownerId = /^[a-fA-F0-9]{24}$/.test(owner) ? owner : null;
+      if (!ownerId) {
+        const ownerUser = await User.findOne({ username: owner.toLowerCase() }).select('_id').lean();
+        if (!ownerUser) return res.json({ projects: [], nextCursor: null, hasMore: false });
+        ownerId = ownerUser._id;
+      }
+      filters.push({ userId: ownerId });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from/to must be valid dates' });
+    }
+    if (from || to) {
+      filters.push({ createdAt: { ...(from && { $gte: from }), ...(to && { $lte: to }) } });
+    }
+
+    const hasLiveDemo = parseBoolean(req.query.hasLiveDemo);
+    if (hasLiveDemo !== undefined) filters.push(urlPresenceFilter('liveDemoUrl', hasLiveDemo));
+    const hasCode = parseBoolean(req.query.hasCode);
+    if (hasCode !== undefined) filters.push(urlPresenceFilter('codeUrl', hasCode));
+
+    // Cursors start with the sort mode they were issued for; seeking with one under
+    // another sort would compare the wrong fields
+    if (req.query.cursor) {
+      const decoded = decodeCursor(req.query.cursor);
+      if (!decoded || decoded.length !== sortSpec.length + 1) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      const [cursorSort, ...values] = decoded;
+      if (cursorSort !== sortKey) {
+        return res.status(400).json({ error: `Cursor was not issued for sort=${sortKey}` });
+      }
+      filters.push(buildCursorFilter(sortSpec, values));
+    }
+
+    const query = findProjectSummaries({ $and: filters }, req.user);
+    const { items, nextCursor, hasMore } = await paginate(query, { sortSpec, limit, tag: sortKey });
+
+    res.json({
+      projects: items.map((p) => formatProjectSummary(p, req.user)),
+      nextCursor,
+      hasMore,
+    });
   } catch (err) {
     console.error('Error fetching projects:', err);
     res.status(500).json({ error: 'Failed to fetch projects' });
   }
 });
 
-// Get single project (public)
-app.get('/api/projects/:id', async (req, res) => {
+// Full-text search over title, description and owner name/username (public)
+// Query: q, limit, cursor. Results are ranked by text score.
+app.get('/api/projects/search', optionalAuth, async (req, res) => {
+  try {
+    const q = req.query.q?.trim();
+    if (!q) {
+      return res.status(400).json({ error: 'Query param "q" is required' });
+    }
+    if (q.length > 200) {
+      return res.status(400).json({ error: 'Search query is too long' });
+    }
+    const limit = parseLimit(req.query.limit);
+
+    // Relevance order has no stable key to seek on, so the cursor carries an offset
+    let offset = 0;
+    if (req.query.cursor) {
+      const values = decodeCursor(req.query.cursor);
+      if (!values || values.length !== 1 || !Number.isInteger(values[0]) || values[0] < 0) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      [offset] = values;
+    }
+
+    const items = await findProjectSummaries({ $text: { $search: q }, ...visibleProjectsFilter(req.user) }, req.user)
+      .select({ score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: -1 })
+      .skip(offset)
+      .limit(limit + 1);
+    const hasMore = items.length > limit;
+    if (hasMore) items.pop();
+
+    const terms = searchTerms(q);
+    res.json({
+      results: items.map((p) => ({
+        ...formatProjectSummary(p, req.user),
+        score: p.score,
+        highlights: {
+          title: highlightMatches(p.title, terms),
+          description: highlightMatches(p.description, terms, { maxLength: 200 }),
+        },
+      })),
+      nextCursor: hasMore ? encodeCursor([offset + items.length]) : null,
+      hasMore,
+    });
+  } catch (err) {
+    console.error('Project search error:', err);
+    res.status(500).json({ error: 'Failed to search projects' });
+  }
+});
+
+// Get single project (public; hidden ones only for their owner and staff)
+app.get('/api/projects/:id', optionalAuth, async (req, res) => {
   try {
+    // Comments are paged separately via GET /api/projects/:id/comments
     const project = await Project.findById(req.params.id)
+      .select('-comments')
       .populate('userId', 'name username profilePhoto')
       .lean();
-    if (!project) {
+    if (!project || !canViewProject(project, req.user)) {
       return res.status(404).json({ error: 'Project not found' });
     }
     res.json({
       id: project._id.toString(),
       ...project,
+      media: (project.media || []).map(formatMedia),
+      coverMediaId: coverMediaId(project),
       likeCount: project.likes?.length || 0,
-      commentCount: project.comments?.length || 0,
+      commentCount: project.commentCount || 0,
       user: project.userId
         ? { id: project.userId._id.toString(), name: project.userId.name, username: project.userId.username, profilePhoto: project.userId.profilePhoto }
         : null,
@@ -191,7 +330,9 @@ app.get('/api/projects/:id', async (req, res) => {
 
 
 // Add new project (requires authentication) - must be before projectRoutes
-app.post('/api/projects', authenticateToken, upload.single('media'), async (req, res) => {
+// Accepts up to MAX_PROJECT_MEDIA files in "media", with optional per-file
+// "captions"/"alts" lists and "coverIndex" (defaults to the first item)
+app.post('/api/projects', authenticateToken, upload.array('media', MAX_PROJECT_MEDIA), async (req, res) => {
   try {
     const { title, description, liveDemoUrl, codeUrl } = req.body;
 
@@ -203,34 +344,59 @@ app.post('/api/projects', authenticateToken, upload.single('media'), async (req,
       return res.status(400).json({ error: 'Description is required' });
     }
 
-    if (!req.file) {
+    if (!req.files?.length) {
       return res.status(400).json({ error: 'Media file is required' });
     }
 
-    // 🔥 Upload project media to Cloudinary
-    const uploadResult = await uploadOnCloudinary(req.file.path);
+    const coverIndex = req.body.coverIndex !== undefined ? parseInt(req.body.coverIndex, 10) : 0;
+    if (!Number.isInteger(coverIndex) || coverIndex < 0 || coverIndex >= req.files.length) {
+      return res.status(400).json({ error: 'coverIndex must point at one of the uploaded files' });
+    }
+
+    const text = { captions: parseListField(req.body.captions), alts: parseListField(req.body.alts) };
+    const textError = mediaTextError(text);
+    if (textError) return res.status(400).json({ error: textError });
+
+    // 🔥 Upload project media to storage
+    const media = await uploadProjectMedia(req.files, text);
 
-    if (!uploadResult) {
+    if (!media) {
       return res.status(500).json({ error: 'Media upload failed' });
     }
+    // Ids up front so the cover can reference one
+    media.forEach((m) => { m._id = new mongoose.Types.ObjectId(); });
 
-    const count = await Project.countDocuments();
+    const order = await Counter.next(GALLERY_COUNTER);
+    const profileOrder = await Counter.next(profileCounter(req.user._id));
 
-    const project = await Project.create({
-      title: title.trim(),
-      description: description.trim(),
-      media: [{ url: uploadResult.secure_url }],
-      order: count,
-      userId: req.user._id,
-      liveDemoUrl: liveDemoUrl?.trim() || '',
-      codeUrl: codeUrl?.trim() || '',
-    });
+    let project;
+    try {
+      project = await Project.create({
+        title: title.trim(),
+        description: description.trim(),
+        media,
+        coverMediaId: media[coverIndex]._id,
+        order,
+        profileOrder,
+        userId: req.user._id,
+        ownerName: req.user.name,
+        ownerUsername: req.user.username || '',
+        liveDemoUrl: liveDemoUrl?.trim() || '',
+        codeUrl: codeUrl?.trim() || '',
+      });
+    } catch (err) {
+      // Nothing references the stored files yet
+      await destroyMediaItems(media);
+      if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+      throw err;
+    }
 
     res.status(201).json({
       id: project._id.toString(),
       title: project.title,
       description: project.description,
-      media: project.media,
+      media: project.media.map(formatMedia),
+      coverMediaId: project.coverMediaId.toString(),
       order: project.order,
       createdAt: project.createdAt,
     });
@@ -244,31 +410,10 @@ app.post('/api/projects', authenticateToken, upload.single('media'), async (req,
 
 
 
-const uploadProfilePhoto = async (localFilePath) => {
-  try {
-    const result = await cloudinary.uploader.upload(localFilePath, {
-      folder: "user_profiles",
-      resource_type: "image",
-      width: 400,
-      height: 400,
-      crop: "fill",
-      quality: "auto",
-      format: "webp",
-    });
-
-    fs.unlinkSync(localFilePath);
-    return result;
-  } catch (err) {
-    console.error("Profile photo upload failed:", err);
-    if (fs.existsSync(localFilePath)) fs.unlinkSync(localFilePath);
-    return null;
-  }
-};
-
-
 app.get("/api/user-card", async (req, res) => {
   try {
-    const cards = await UserCard.find()
+    // Cards taken down by moderation are left out
+    const cards = await UserCard.find({ hidden: { $ne: true } })
       .sort({ order: 1, createdAt: -1 })
       .select("fullName username passion skills profilePhoto location order createdAt");
 
@@ -280,6 +425,22 @@ app.get("/api/user-card", async (req, res) => {
 });
 
 
+// Report a user card (e.g. impersonation). Body: { reason, details? }
+app.post("/api/user-card/:id/report", authenticateToken, async (req, res) => {
+  try {
+    const card = await UserCard.findById(req.params.id).select("userId hidden");
+    if (!card || card.hidden) {
+      return res.status(404).json({ error: "User card not found" });
+    }
+    const { report, status, error } = await submitReport(req.user, "user_card", card, req.body);
+    if (error) return res.status(status).json({ error });
+    res.status(201).json({ success: true, reportId: report._id.toString() });
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ error: "Invalid id" });
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // This is for user card :
 app.post(
   "/api/user-card",
@@ -329,20 +490,21 @@ app.post(
       let profilePhoto;
 
       if (req.file) {
-        const uploadResult = await uploadProfilePhoto(req.file.path);
+        const uploadResult = await uploadCardPhoto(req.file);
 
         if (!uploadResult) {
           return res.status(500).json({ error: "Profile photo upload failed" });
         }
 
         profilePhoto = {
-          url: uploadResult.secure_url,
-          filename: uploadResult.public_id,
+          url: uploadResult.url,
+          filename: uploadResult.id,
         };
       }
 
       /* ---------- Order handling ---------- */
       const existingCard = await UserCard.findOne({ userId: req.user._id });
+      const oldPhotoId = existingCard?.profilePhoto?.filename;
       const order = existingCard
         ? existingCard.order
         : await UserCard.countDocuments();
@@ -375,6 +537,11 @@ app.post(
         { new: true, upsert: true }
       );
 
+      /* ---------- Drop the replaced photo ---------- */
+      if (profilePhoto && oldPhotoId && oldPhotoId !== profilePhoto.filename) {
+        await destroyMedia(oldPhotoId);
+      }
+
       /* ---------- Response ---------- */
       res.status(201).json({
         id: userCard._id.toString(),
@@ -0,0 +1,169 @@
+import User from '../models/User.js';
+import Project from '../models/Project.js';
+import ProjectRevision from '../models/ProjectRevision.js';
+import Comment from '../models/Comment.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import Notification from '../models/Notification.js';
+import UserCard from '../models/UserCard.js';
+import Session from '../models/Session.js';
+import Otp from '../models/Otp.js';
+import Report from '../models/Report.js';
+import { destroyMedia, destroyMediaItems, mediaIdFromUrl } from './media.js';
+import { revokeSessions } from './sessions.js';
+
+// Deleting an account only schedules it; it can be cancelled until then
+export const DELETION_GRACE_DAYS = 14;
+
+export async function scheduleDeletion(user, keepSessionId) {
+  const requestedAt = new Date();
+  const scheduledFor = new Date(requestedAt.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await User.updateOne({ _id: user._id }, { deletion: { requestedAt, scheduledFor } });
+  // Sign out everywhere else. Signing in does not cancel on its own; the owner has to
+  // call POST /api/users/me/deletion/cancel before the scheduled date.
+  await revokeSessions({ userId: user._id, ...(keepSessionId && { _id: { $ne: keepSessionId } }) });
+  return scheduledFor;
+}
+
+export function cancelDeletion(userId) {
+  return User.updateOne({ _id: userId }, { deletion: { requestedAt: null, scheduledFor: null } });
+}
+
+async function destroyAttachments(messages) {
+  for (const m of messages) {
+    for (const a of m.attachments || []) await destroyMedia(a.id, a.resourceType);
+  }
+}
+
+// Projects with everything hanging off them: revisions, comments, notifications, media
+async function purgeProjects(userId) {
+  for await (const project of Project.find({ userId }).select('media').lean().cursor()) {
+    const revisions = await ProjectRevision.find({ projectId: project._id }).select('media').lean();
+    await destroyMediaItems([...(project.media || []), ...revisions.flatMap((r) => r.media)]);
+    await ProjectRevision.deleteMany({ projectId: project._id });
+    await Comment.deleteMany({ projectId: project._id });
+    await Notification.deleteMany({ projectId: project._id });
+    await Project.deleteOne({ _id: project._id });
+  }
+}
+
+// Comments on other people's projects go the same way as a normal delete: blanked
+// when they have replies, removed otherwise
+async function purgeComments(userId) {
+  for await (const comment of Comment.find({ userId }).cursor()) {
+    if (comment.replyCount > 0) {
+      comment.deleted = true;
+      comment.text = '';
+      comment.userId = null;
+      comment.userName = '';
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+      if (comment.parentId) {
+        const parent = await Comment.findByIdAndUpdate(comment.parentId, { $inc: { replyCount: -1 } }, { new: true });
+        if (parent?.deleted && parent.replyCount <= 0) await parent.deleteOne();
+      }
+    }
+    await Project.updateOne({ _id: comment.projectId }, { $inc: { commentCount: -1 } });
+  }
+}
+
+// Direct chats are removed for both sides; in groups the user's messages are unsent
+// and they leave the group
+async function purgeMessages(userId) {
+  const direct = { conversationId: null, $or: [{ senderId: userId }, { receiverId: userId }] };
+  await destroyAttachments(await Message.find({ ...direct, 'attachments.0': { $exists: true } }).select('attachments').lean());
+  await Message.deleteMany(direct);
+  await Conversation.deleteMany({ type: 'direct', 'members.userId': userId });
+
+  const inGroups = { conversationId: { $ne: null }, senderId: userId };
+  await destroyAttachments(await Message.find({ ...inGroups, 'attachments.0': { $exists: true } }).select('attachments').lean());
+  await Message.updateMany(inGroups, {
+    deletedForEveryone: true,
+    deletedAt: new Date(),
+    text: '',
+    attachments: [],
+    reactions: [],
+  });
+  await Message.updateMany({ 'reactions.userId': userId }, { $pull: { reactions: { userId } } });
+
+  for await (const group of Conversation.find({ type: 'group', 'members.userId': userId }).cursor()) {
+    group.members = group.members.filter((m) => m.userId.toString() !== userId.toString());
+    if (!group.members.length) {
+      const rest = await Message.find({ conversationId: group._id, 'attachments.0': { $exists: true } })
+        .select('attachments')
+        .lean();
+      await destroyAttachments(rest);
+      await Message.deleteMany({ conversationId: group._id });
+      await group.deleteOne();
+      continue;
+    }
+    if (!group.members.some((m) => m.role === 'admin')) {
+      [...group.members].sort((a, b) => a.joinedAt - b.joinedAt)[0].role = 'admin';
+    }
+    await group.save();
+  }
+}
+
+// Permanently remove an account and everything it owns. Likes, saves and follow
+// edges on other documents are pulled so counts stay right.
+export async function purgeUser(userId) {
+  const user = await User.findById(userId).select('email profilePhoto profilePhotoId');
+  if (!user) return false;
+
+  await purgeProjects(user._id);
+  await purgeComments(user._id);
+
+  for await (const p of Project.find({ likes: user._id }).select('_id').lean().cursor()) {
+    await Project.updateOne({ _id: p._id, likes: user._id }, { $pull: { likes: user._id }, $inc: { likeCount: -1 } });
+  }
+  await Project.updateMany({ savedBy: user._id }, { $pull: { savedBy: user._id } });
+
+  await User.updateMany(
+    {
+      $or: [
+        { followers: user._id },
+        { following: user._id },
+        { connections: user._id },
+        { blocked: user._id },
+        { muted: user._id },
+      ],
+    },
+    { $pull: { followers: user._id, following: user._id, connections: user._id, blocked: user._id, muted: user._id } }
+  );
+  await FollowRequest.deleteMany({ $or: [{ fromUserId: user._id }, { toUserId: user._id }] });
+
+  await purgeMessages(user._id);
+  await Notification.deleteMany({ $or: [{ userId: user._id }, { actorId: user._id }] });
+
+  const card = await UserCard.findOne({ userId: user._id }).lean();
+  if (card) {
+    const photoId = card.profilePhoto?.filename || mediaIdFromUrl(card.profilePhoto?.url)?.id;
+    if (photoId) await destroyMedia(photoId);
+    await UserCard.deleteOne({ _id: card._id });
+  }
+  const avatarId = user.profilePhotoId || mediaIdFromUrl(user.profilePhoto)?.id;
+  if (avatarId) await destroyMedia(avatarId);
+
+  await revokeSessions({ userId: user._id });
+  await Session.deleteMany({ userId: user._id });
+  await Otp.deleteMany({ email: user.email });
+  await Report.deleteMany({ reporterId: user._id });
+  await User.deleteOne({ _id: user._id });
+  return true;
+}
+
+// Purge every account whose grace period is over. Returns how many were removed.
+export async function purgeDueAccounts() {
+  const due = await User.find({ 'deletion.scheduledFor': { $ne: null, $lte: new Date() } }).select('_id').lean();
+  let purged = 0;
+  for (const { _id } of due) {
+    try {
+      if (await purgeUser(_id)) purged += 1;
+    } catch (err) {
+      console.error(`Account purge failed for ${_id}:`, err.message);
+    }
+  }
+  return purged;
+}
@@ -0,0 +1,69 @@
+import Project from '../models/Project.js';
+import ProjectRevision from '../models/ProjectRevision.js';
+import Comment from '../models/Comment.js';
+import Conversation from '../models/Conversation.js';
+import UserCard from '../models/UserCard.js';
+import { destroyMedia, destroyMediaItems, mediaIdFromUrl } from './media.js';
+import { retractNotification, deleteNotifications } from './notifications.js';
+
+// Delete a project with its revisions, comments, notifications and media. The gap it
+// leaves in the ordering numbers is harmless; positions come from sorting.
+export async function removeProject(project) {
+  // Revisions can reference media the project no longer shows, so clean those up too
+  const revisions = await ProjectRevision.find({ projectId: project._id }).select('media').lean();
+  await Project.deleteOne({ _id: project._id });
+  await ProjectRevision.deleteMany({ projectId: project._id });
+  await Comment.deleteMany({ projectId: project._id });
+  await deleteNotifications({ projectId: project._id });
+  await destroyMediaItems([...project.media, ...revisions.flatMap((r) => r.media)]);
+}
+
+// Delete a comment. One that still has replies is blanked out instead of removed so
+// the thread stays readable. Returns the project's new comment count.
+export async function removeComment(comment) {
+  if (comment.replyCount > 0) {
+    comment.deleted = true;
+    comment.text = '';
+    await comment.save();
+  } else {
+    await comment.deleteOne();
+    if (comment.parentId) {
+      const parent = await Comment.findByIdAndUpdate(
+        comment.parentId,
+        { $inc: { replyCount: -1 } },
+        { new: true }
+      );
+      // Last reply under a blanked-out root: drop the root too
+      if (parent?.deleted && parent.replyCount <= 0) await parent.deleteOne();
+    }
+  }
+
+  const updated = await Project.findByIdAndUpdate(
+    comment.projectId,
+    { $inc: { commentCount: -1 } },
+    { new: true }
+  ).select('commentCount');
+  retractNotification({ commentId: comment._id });
+  return updated?.commentCount || 0;
+}
+
+// Unsend a message: text and attachments go, a placeholder stays in the chat
+export async function unsendMessage(message) {
+  const attachments = message.attachments.map((a) => a.toObject());
+  message.deletedForEveryone = true;
+  message.deletedAt = new Date();
+  message.text = '';
+  message.attachments = [];
+  message.reactions = [];
+  await message.save();
+  await Conversation.retractMessage(message);
+
+  for (const a of attachments) await destroyMedia(a.id, a.resourceType);
+  retractNotification({ type: 'message', messageId: message._id });
+}
+
+export async function removeUserCard(card) {
+  const photoId = card.profilePhoto?.filename || mediaIdFromUrl(card.profilePhoto?.url)?.id;
+  await UserCard.deleteOne({ _id: card._id });
+  if (photoId) await destroyMedia(photoId);
+}
@@ -0,0 +1,176 @@
+import User from '../models/User.js';
+import UserCard from '../models/UserCard.js';
+import Project from '../models/Project.js';
+import Comment from '../models/Comment.js';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import { formatMedia, formatAttachment } from './media.js';
+
+// Bumped whenever the archive layout changes, so tools reading it can tell
+const EXPORT_VERSION = 1;
+
+const USER_FIELDS =
+  'name username email profilePhoto bio emailVerified googleId githubId role messagePrivacy twoFactor.enabled followers following connections blocked muted createdAt updatedAt';
+
+function userRef(u) {
+  return u ? { id: u._id.toString(), name: u.name, username: u.username || '' } : null;
+}
+
+function projectRef(p) {
+  return { id: p._id.toString(), title: p.title, ownerUsername: p.ownerUsername || '' };
+}
+
+function formatProject(p) {
+  return {
+    id: p._id.toString(),
+    title: p.title,
+    description: p.description,
+    media: (p.media || []).map(formatMedia),
+    liveDemoUrl: p.liveDemoUrl || '',
+    codeUrl: p.codeUrl || '',
+    pinned: !!p.pinned,
+    likeCount: p.likeCount || 0,
+    commentCount: p.commentCount || 0,
+    version: p.version || 1,
+    editedAt: p.editedAt || null,
+    createdAt: p.createdAt,
+  };
+}
+
+// Wait until `out` can take more data; fails if the client goes away first
+function drained(out) {
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      out.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      out.off('drain', onDrain);
+      reject(new Error('Export download was interrupted'));
+    };
+    out.once('drain', onDrain);
+    out.once('close', onClose);
+  });
+}
+
+async function write(out, chunk) {
+  if (out.destroyed) throw new Error('Export download was interrupted');
+  if (!out.write(chunk)) await drained(out);
+}
+
+// Write a query's documents, formatted, as a JSON array without holding them all
+async function writeArray(out, query, format) {
+  await write(out, '[');
+  let first = true;
+  for await (const doc of query.cursor()) {
+    await write(out, `${first ? '' : ','}${JSON.stringify(format(doc))}`);
+    first = false;
+  }
+  await write(out, ']');
+}
+
+function formatComment(c) {
+  return {
+    id: c._id.toString(),
+    project: c.projectId ? projectRef(c.projectId) : null,
+    parentId: c.parentId?.toString() || null,
+    text: c.deleted ? '' : c.text,
+    deleted: !!c.deleted,
+    editedAt: c.editedAt || null,
+    createdAt: c.createdAt,
+  };
+}
+
+// Unsent messages stay in as placeholders, without their content
+function formatMessage(m) {
+  const deleted = !!m.deletedForEveryone;
+  return {
+    id: m._id.toString(),
+    senderId: m.senderId.toString(),
+    receiverId: m.receiverId?.toString() || null,
+    conversationId: m.conversationId?.toString() || null,
+    text: deleted ? '' : m.text,
+    attachments: deleted ? [] : (m.attachments || []).map(formatAttachment),
+    reactions: deleted ? [] : (m.reactions || []).map((r) => ({ userId: r.userId.toString(), emoji: r.emoji })),
+    editedAt: m.editedAt || null,
+    deleted,
+    createdAt: m.createdAt,
+  };
+}
+
+// Direct messages and messages in the groups the user is in, minus ones they deleted
+// for themselves
+function messagesQuery(userId, groups) {
+  return Message.find({
+    deletedFor: { $ne: userId },
+    $or: [
+      { conversationId: null, senderId: userId },
+      { conversationId: null, receiverId: userId },
+      { conversationId: { $in: groups.map((g) => g._id) } },
+    ],
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+}
+
+// Write everything stored about a user to `out` as one JSON document. Comments and
+// messages are streamed, since a heavy user has far too many to build in memory.
+// Secrets (password hash, 2FA secrets, sessions) are left out. Returns false, having
+// written nothing, when the user doesn't exist.
+export async function writeExport(userId, out) {
+  const user = await User.findById(userId)
+    .select(USER_FIELDS)
+    .populate('followers following connections blocked muted', 'name username')
+    .lean();
+  if (!user) return false;
+
+  const [card, projects, liked, saved, groups] = await Promise.all([
+    UserCard.findOne({ userId }).select('-__v').lean(),
+    Project.find({ userId }).sort({ createdAt: -1 }).lean(),
+    Project.find({ likes: userId }).select('title ownerUsername').lean(),
+    Project.find({ savedBy: userId }).select('title ownerUsername').lean(),
+    Conversation.find({ type: 'group', 'members.userId': userId }).select('name').lean(),
+  ]);
+
+  const head = {
+    exportVersion: EXPORT_VERSION,
+    exportedAt: new Date(),
+    profile: {
+      id: user._id.toString(),
+      name: user.name,
+      username: user.username || '',
+      email: user.email,
+      emailVerified: !!user.emailVerified,
+      profilePhoto: user.profilePhoto || null,
+      bio: user.bio || '',
+      role: user.role,
+      messagePrivacy: user.messagePrivacy,
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      linkedAccounts: { google: !!user.googleId, github: !!user.githubId },
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+    userCard: card ? { ...card, _id: undefined, id: card._id.toString(), userId: undefined } : null,
+    projects: projects.map(formatProject),
+    likes: liked.map(projectRef),
+    saves: saved.map(projectRef),
+    followers: (user.followers || []).map(userRef),
+    following: (user.following || []).map(userRef),
+    connections: (user.connections || []).map(userRef),
+    blocked: (user.blocked || []).map(userRef),
+    muted: (user.muted || []).map(userRef),
+    groups: groups.map((g) => ({ id: g._id.toString(), name: g.name })),
+  };
+
+  // The head object minus its closing brace, then the streamed arrays
+  await write(out, `${JSON.stringify(head).slice(0, -1)},"comments":`);
+  await writeArray(
+    out,
+    Comment.find({ userId }).populate('projectId', 'title ownerUsername').sort({ createdAt: 1 }).lean(),
+    formatComment
+  );
+  await write(out, ',"messages":');
+  await writeArray(out, messagesQuery(userId, groups), formatMessage);
+  await write(out, '}');
+  return true;
+}
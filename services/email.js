@@ -47,6 +47,58 @@ export async function sendOtpEmail({ toEmail, otp }) {
   return result;
 }
 
+/* -------------------- Password reset -------------------- */
+export async function sendPasswordResetEmail({ toEmail, otp }) {
+  return sendEmail({
+    to: toEmail,
+    subject: 'Reset your password - Project Gallery',
+    text: `Your password reset code is ${otp}. It expires in 10 minutes. If you didn't ask to reset your password, you can ignore this email.`,
+    html: `
+      <p>Your password reset code is: <strong>${otp}</strong></p>
+      <p>It expires in 10 minutes.</p>
+      <p>If you didn’t ask to reset your password, you can ignore this email.</p>
+    `,
+  });
+}
+
+export async function sendPasswordChangedEmail({ toEmail }) {
+  return sendEmail({
+    to: toEmail,
+    subject: 'Your password was changed - Project Gallery',
+    text: 'The password for your Project Gallery account was just changed. If this wasn\'t you, reset your password right away.',
+    html: `
+      <p>The password for your Project Gallery account was just changed.</p>
+      <p>If this wasn’t you, reset your password right away.</p>
+    `,
+  });
+}
+
+/* -------------------- Account changes -------------------- */
+export async function sendEmailChangedEmail({ toEmail, newEmail }) {
+  return sendEmail({
+    to: toEmail,
+    subject: 'Your email address was changed - Project Gallery',
+    text: `The email address for your Project Gallery account was changed to ${newEmail}. If this wasn't you, contact support right away.`,
+    html: `
+      <p>The email address for your Project Gallery account was changed to <strong>${newEmail}</strong>.</p>
+      <p>If this wasn’t you, contact support right away.</p>
+    `,
+  });
+}
+
+export async function sendDeletionScheduledEmail({ toEmail, scheduledFor }) {
+  const date = scheduledFor.toDateString();
+  return sendEmail({
+    to: toEmail,
+    subject: 'Your account is scheduled for deletion - Project Gallery',
+    text: `Your Project Gallery account and everything in it will be deleted on ${date}. To keep it, sign in and choose "Cancel deletion" in your account settings before then.`,
+    html: `
+      <p>Your Project Gallery account and everything in it will be deleted on <strong>${date}</strong>.</p>
+      <p>To keep it, sign in and choose <strong>Cancel deletion</strong> in your account settings before then.</p>
+    `,
+  });
+}
+
 /* -------------------- Follow request -------------------- */
 export async function sendFollowRequestEmail({ toEmail, fromName }) {
   return sendEmail({
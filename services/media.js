@@ -0,0 +1,171 @@
+import fs from 'fs';
+import storage from './storage/index.js';
+import { attachmentKind } from '../middleware/upload.js';
+import { MEDIA_TEXT_MAX_LENGTH } from '../models/Project.js';
+
+function removeLocalFile(localFilePath) {
+  if (fs.existsSync(localFilePath)) fs.unlinkSync(localFilePath);
+}
+
+// Every upload route stores files through here. Takes a multer disk file, returns
+// { id, url, resourceType, bytes } or null on failure; the temp file is always removed.
+export async function storeUpload(file, options = {}) {
+  try {
+    return await storage.upload(file, options);
+  } catch (err) {
+    console.error(`Media upload (${storage.name}) failed:`, err.message);
+    return null;
+  } finally {
+    removeLocalFile(file.path);
+  }
+}
+
+export function uploadAvatar(file) {
+  return storeUpload(file, { folder: 'avatars', resourceType: 'image' });
+}
+
+export function uploadCardPhoto(file) {
+  return storeUpload(file, {
+    folder: 'user_profiles',
+    resourceType: 'image',
+    image: { width: 400, height: 400, crop: 'fill', format: 'webp' },
+  });
+}
+
+// Recover { id, resourceType } from a stored URL, for records saved before ids
+// were tracked. Returns null for URLs the storage backend doesn't own.
+export function mediaIdFromUrl(url) {
+  return storage.idFromUrl(url);
+}
+
+// Delete a stored asset. Failures are logged, never thrown, so cleanup can't
+// break the request that triggered it.
+export async function destroyMedia(id, resourceType = 'image') {
+  if (!id) return false;
+  try {
+    return await storage.remove(id, resourceType);
+  } catch (err) {
+    console.error(`Media delete (${storage.name}) failed for ${id}:`, err.message);
+    return false;
+  }
+}
+
+// Destroy project media items ({ filename, url, type }), e.g. after a project is deleted
+export async function destroyMediaItems(items) {
+  const seen = new Set();
+  for (const m of items) {
+    const parsed = m.filename ? null : mediaIdFromUrl(m.url);
+    const id = m.filename || parsed?.id;
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    await destroyMedia(id, parsed?.resourceType || (m.type === 'video' ? 'video' : 'image'));
+  }
+}
+
+// Why captions/alts for new project media would be rejected, or null. Checked before
+// uploading so a bad caption doesn't leave stored files behind.
+export function mediaTextError({ captions = [], alts = [] }) {
+  if (captions.some((c) => c.trim().length > MEDIA_TEXT_MAX_LENGTH)) {
+    return `Captions can be at most ${MEDIA_TEXT_MAX_LENGTH} characters`;
+  }
+  if (alts.some((a) => a.trim().length > MEDIA_TEXT_MAX_LENGTH)) {
+    return `Alt text can be at most ${MEDIA_TEXT_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Upload multer files as project media items, in order. If any upload fails the
+// remaining temp files are removed and null is returned.
+export async function uploadProjectMedia(files, { captions = [], alts = [] } = {}) {
+  const items = [];
+  for (let i = 0; i < files.length; i += 1) {
+    const result = await storeUpload(files[i], { folder: 'projects' });
+    if (!result) {
+      files.slice(i + 1).forEach((f) => removeLocalFile(f.path));
+      await destroyMediaItems(items);
+      return null;
+    }
+    items.push({
+      url: result.url,
+      filename: result.id,
+      type: result.resourceType === 'video' ? 'video' : 'image',
+      caption: captions[i]?.trim() || '',
+      alt: alts[i]?.trim() || '',
+    });
+  }
+  return items;
+}
+
+// Upload multer files as chat attachments. Same all-or-nothing behaviour as
+// uploadProjectMedia: on failure everything is cleaned up and null is returned.
+export async function uploadMessageAttachments(files) {
+  const items = [];
+  for (let i = 0; i < files.length; i += 1) {
+    const file = files[i];
+    const kind = attachmentKind(file.mimetype);
+    const result = await storeUpload(file, {
+      folder: 'messages',
+      resourceType: kind === 'file' ? 'raw' : kind,
+    });
+    if (!result) {
+      files.slice(i + 1).forEach((f) => removeLocalFile(f.path));
+      for (const a of items) await destroyMedia(a.id, a.resourceType);
+      return null;
+    }
+    items.push({
+      id: result.id,
+      url: result.url,
+      resourceType: result.resourceType,
+      kind,
+      mimeType: file.mimetype,
+      name: file.originalname,
+      size: result.bytes ?? file.size,
+      thumbnailUrl: storage.thumbnailUrl(result.id, result.resourceType),
+    });
+  }
+  return items;
+}
+
+export function formatAttachment(a) {
+  return {
+    url: a.url,
+    kind: a.kind,
+    mimeType: a.mimeType,
+    name: a.name,
+    size: a.size,
+    thumbnailUrl: a.thumbnailUrl || null,
+  };
+}
+
+// Accept a list field sent as repeated form fields, a JSON array or a single value
+export function parseListField(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) return parsed.map((v) => (v == null ? '' : String(v)));
+    } catch {
+      // fall through to single value
+    }
+  }
+  return [String(value)];
+}
+
+export function formatMedia(m) {
+  return {
+    id: m._id?.toString(),
+    url: m.url,
+    type: m.type || 'image',
+    caption: m.caption || '',
+    alt: m.alt || '',
+  };
+}
+
+// The cover is the chosen item, falling back to the first one
+export function coverMediaId(project) {
+  const media = project.media || [];
+  const chosen = project.coverMediaId?.toString();
+  if (chosen && media.some((m) => m._id?.toString() === chosen)) return chosen;
+  return media[0]?._id?.toString() || null;
+}
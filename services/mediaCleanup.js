@@ -0,0 +1,57 @@
+import storage from './storage/index.js';
+import Project from '../models/Project.js';
+import ProjectRevision from '../models/ProjectRevision.js';
+import User from '../models/User.js';
+import UserCard from '../models/UserCard.js';
+import Message from '../models/Message.js';
+import { mediaIdFromUrl, destroyMedia } from './media.js';
+
+// Every storage id the database still points at, whether stored as an id or only as a URL
+export async function collectReferencedIds() {
+  const ids = new Set();
+  const add = (id, url) => {
+    if (id) ids.add(id);
+    const parsed = mediaIdFromUrl(url);
+    if (parsed) ids.add(parsed.id);
+  };
+
+  for await (const p of Project.find().select('media').lean().cursor()) {
+    (p.media || []).forEach((m) => add(m.filename, m.url));
+  }
+  for await (const r of ProjectRevision.find().select('media').lean().cursor()) {
+    (r.media || []).forEach((m) => add(m.filename, m.url));
+  }
+  for await (const u of User.find({ profilePhoto: { $ne: null } }).select('profilePhoto profilePhotoId').lean().cursor()) {
+    add(u.profilePhotoId, u.profilePhoto);
+  }
+  for await (const c of UserCard.find({ 'profilePhoto.url': { $nin: ['', null] } }).select('profilePhoto').lean().cursor()) {
+    add(c.profilePhoto.filename, c.profilePhoto.url);
+  }
+  for await (const m of Message.find({ 'attachments.0': { $exists: true } }).select('attachments').lean().cursor()) {
+    m.attachments.forEach((a) => add(a.id, a.url));
+  }
+  return ids;
+}
+
+// Assets nobody references. Anything newer than graceHours is skipped so uploads
+// still in flight (or from POST /api/media) aren't caught.
+export async function findOrphanedMedia({ graceHours = 24 } = {}) {
+  const referenced = await collectReferencedIds();
+  const cutoff = Date.now() - graceHours * 60 * 60 * 1000;
+  const orphans = [];
+  for await (const asset of storage.list()) {
+    if (referenced.has(asset.id)) continue;
+    if (asset.createdAt.getTime() > cutoff) continue;
+    orphans.push(asset);
+  }
+  return orphans;
+}
+
+// Returns how many assets were deleted
+export async function purgeMedia(orphans) {
+  let deleted = 0;
+  for (const asset of orphans) {
+    if (await destroyMedia(asset.id, asset.resourceType)) deleted += 1;
+  }
+  return deleted;
+}
@@ -0,0 +1,76 @@
+import AuditLog from '../models/AuditLog.js';
+import Conversation from '../models/Conversation.js';
+import { blankNotificationPreviews } from './notifications.js';
+
+export const ROLES = ['user', 'moderator', 'admin'];
+export const STAFF_ROLES = ['moderator', 'admin'];
+
+export function isStaff(user) {
+  return !!user && STAFF_ROLES.includes(user.role);
+}
+
+// Why an account may not use the API right now, as an error body, or null when it can
+export function accountRestriction(user) {
+  if (user.status === 'banned') {
+    return { error: 'This account has been banned', status: 'banned', reason: user.statusReason || '' };
+  }
+  if (user.status === 'suspended' && (!user.suspendedUntil || user.suspendedUntil > new Date())) {
+    return {
+      error: 'This account is suspended',
+      status: 'suspended',
+      reason: user.statusReason || '',
+      suspendedUntil: user.suspendedUntil || null,
+    };
+  }
+  return null;
+}
+
+// Projects the viewer may see: everything for staff, hidden ones only to their owner
+export function visibleProjectsFilter(viewer) {
+  if (isStaff(viewer)) return {};
+  if (viewer) return { $or: [{ hidden: { $ne: true } }, { userId: viewer._id }] };
+  return { hidden: { $ne: true } };
+}
+
+export function canViewProject(project, viewer) {
+  if (!project.hidden || isStaff(viewer)) return true;
+  const ownerId = project.userId?._id || project.userId;
+  return !!viewer && ownerId?.toString() === viewer._id.toString();
+}
+
+// Record a moderation action; `actor` is null for automatic ones. Unlike notify()
+// this is awaited, so a failed write shows up as an error rather than an action
+// nobody can trace.
+export function recordAudit(actor, action, target, { reason = '', details = null } = {}) {
+  return AuditLog.create({
+    actorId: actor?._id || null,
+    action,
+    targetType: target.type,
+    targetId: target.id,
+    reason,
+    details,
+  });
+}
+
+// Hide a project, comment, user card or message. `by` is null when hidden automatically.
+// Copies of a message or comment's text (conversation preview, notifications) go too.
+export async function hideContent(doc, { by = null, reason = '' } = {}) {
+  Object.assign(doc, { hidden: true, hiddenAt: new Date(), hiddenBy: by?._id || null, hiddenReason: reason });
+  await doc.save();
+  const model = doc.constructor.modelName;
+  if (model === 'Message') {
+    await Conversation.refreshLastMessage(doc);
+    await blankNotificationPreviews({ type: 'message', messageId: doc._id });
+  } else if (model === 'Comment') {
+    await blankNotificationPreviews({ commentId: doc._id });
+  }
+  return doc;
+}
+
+// Blanked notification previews stay blank; the conversation preview comes back
+export async function unhideContent(doc) {
+  Object.assign(doc, { hidden: false, hiddenAt: null, hiddenBy: null, hiddenReason: '' });
+  await doc.save();
+  if (doc.constructor.modelName === 'Message') await Conversation.refreshLastMessage(doc);
+  return doc;
+}
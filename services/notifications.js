@@ -0,0 +1,87 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { publish } from './realtime.js';
+
+const PREVIEW_LENGTH = 100;
+
+function preview(text) {
+  const t = (text || '').trim();
+  return t.length > PREVIEW_LENGTH ? `${t.slice(0, PREVIEW_LENGTH)}...` : t;
+}
+
+// Create an in-app notification. Never throws: a failed notification must not fail
+// the like/comment/follow/message that triggered it. Notifying yourself, or someone
+// who muted or blocked the actor, is a no-op.
+export async function notify({ userId, actorId, type, projectId, commentId, followRequestId, messageId, text }) {
+  if (!userId || !actorId || userId.toString() === actorId.toString()) return null;
+  try {
+    if (await User.exists({ _id: userId, $or: [{ muted: actorId }, { blocked: actorId }] })) return null;
+
+    // Repeated likes of one project and unread messages from one sender update a
+    // single notification instead of piling up
+    let notification;
+    if (type === 'like' || type === 'message') {
+      const key = type === 'like' ? { projectId } : { read: false };
+      notification = await Notification.findOneAndUpdate(
+        { userId, actorId, type, ...key },
+        {
+          $set: { read: false, ...(messageId && { messageId }), ...(text !== undefined && { preview: preview(text) }) },
+          ...(type === 'message' ? { $inc: { count: 1 } } : { $setOnInsert: { count: 1 } }),
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+    } else {
+      notification = await Notification.create({
+        userId,
+        actorId,
+        type,
+        projectId,
+        commentId,
+        followRequestId,
+        messageId,
+        preview: preview(text),
+      });
+    }
+    publish(userId, 'notification', { id: notification._id.toString(), type, count: notification.count });
+    return notification;
+  } catch (err) {
+    console.error('Notification error:', err.message);
+    return null;
+  }
+}
+
+// Drop a notification that no longer applies (e.g. an unread like that was undone)
+export async function retractNotification(filter) {
+  try {
+    await Notification.deleteMany({ read: false, ...filter });
+  } catch (err) {
+    console.error('Notification error:', err.message);
+  }
+}
+
+// Mark notifications read, e.g. a follow request once it has been answered
+export async function markNotificationsRead(filter) {
+  try {
+    await Notification.updateMany({ read: false, ...filter }, { read: true }, { timestamps: false });
+  } catch (err) {
+    console.error('Notification error:', err.message);
+  }
+}
+
+// Remove every notification about something that no longer exists (e.g. a deleted project)
+export async function deleteNotifications(filter) {
+  try {
+    await Notification.deleteMany(filter);
+  } catch (err) {
+    console.error('Notification error:', err.message);
+  }
+}
+
+// Clear the copied text of notifications about something hidden by moderation
+export async function blankNotificationPreviews(filter) {
+  try {
+    await Notification.updateMany(filter, { preview: '' }, { timestamps: false });
+  } catch (err) {
+    console.error('Notification error:', err.message);
+  }
+}
@@ -0,0 +1,36 @@
+import Counter from '../models/Counter.js';
+
+export const GALLERY_COUNTER = 'gallery';
+export const profileCounter = (userId) => `profile:${userId}`;
+
+// Move `id` to `position` (0 = first) in a list of ids
+export function moveId(ids, id, position) {
+  const rest = ids.filter((x) => x !== id);
+  const at = Math.max(0, Math.min(position, rest.length));
+  rest.splice(at, 0, id);
+  return rest;
+}
+
+// Put docs in the given order by handing out the numbers they already hold, sorted
+// (ascending, or descending when `descending`). A move therefore only rewrites the
+// docs between its old and new position, and numbers stay below what the counter
+// gives new items. Ties (e.g. unnumbered legacy docs) are split by bumping numbers
+// up, and the counter is raised past them; it is never lowered, so a project created
+// meanwhile can't be handed a number already in use.
+export async function writeOrder(Model, field, docs, { counterKey, descending = false } = {}) {
+  const values = docs.map((doc) => doc[field] ?? 0).sort((a, b) => a - b);
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] <= values[i - 1]) values[i] = values[i - 1] + 1;
+  }
+  const highest = values[values.length - 1];
+  if (descending) values.reverse();
+
+  const ops = [];
+  docs.forEach((doc, i) => {
+    if (doc[field] !== values[i]) {
+      ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { [field]: values[i] } } } });
+    }
+  });
+  if (counterKey && values.length) await Counter.raise(counterKey, highest);
+  if (ops.length) await Model.bulkWrite(ops, { ordered: false });
+}
@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import Otp from '../models/Otp.js';
+
+const OTP_EXPIRY_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+// Codes per email and purpose before the pending one has to expire
+const MAX_SENDS = 5;
+
+function hashCode(email, purpose, code) {
+  return crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${purpose}:${email}:${code}`)
+    .digest('hex');
+}
+
+function generateCode() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+// New code for an email, replacing any pending one. Returns { otp }, or { error,
+// retryAfter } (seconds) when asked again too soon or too often.
+export async function issueOtp(purpose, email) {
+  const now = Date.now();
+  const existing = await Otp.findOne({ email, purpose }).lean();
+  if (existing && existing.expiresAt.getTime() > now) {
+    const wait = existing.lastSentAt.getTime() + RESEND_COOLDOWN_MS - now;
+    if (wait > 0) {
+      return { error: 'Please wait before requesting another code', retryAfter: Math.ceil(wait / 1000) };
+    }
+    if (existing.attempts >= MAX_ATTEMPTS) {
+      return {
+        error: 'Too many incorrect attempts. Please try again later.',
+        retryAfter: Math.ceil((existing.expiresAt.getTime() - now) / 1000),
+      };
+    }
+    if (existing.sendCount >= MAX_SENDS) {
+      return {
+        error: 'Too many codes requested. Please try again later.',
+        retryAfter: Math.ceil((existing.expiresAt.getTime() - now) / 1000),
+      };
+    }
+  }
+
+  const otp = generateCode();
+  const fresh = !existing || existing.expiresAt.getTime() <= now;
+  await Otp.updateOne(
+    { email, purpose },
+    {
+      $set: {
+        codeHash: hashCode(email, purpose, otp),
+        lastSentAt: new Date(now),
+        expiresAt: new Date(now + OTP_EXPIRY_MS),
+        // Wrong guesses and sends add up over the whole window, so resending
+        // doesn't buy more guesses
+        ...(fresh && { sendCount: 1, attempts: 0 }),
+      },
+      ...(!fresh && { $inc: { sendCount: 1 } }),
+    },
+    { upsert: true }
+  );
+  return { otp };
+}
+
+// Void a pending code, e.g. when its email couldn't be sent. The record stays, so the
+// send count and attempts still apply to the next code in the window.
+export function discardOtp(purpose, email) {
+  return Otp.updateOne({ email, purpose }, { $set: { codeHash: '' } });
+}
+
+// Checks and consumes a code. Returns an error message, or null when it matches.
+// Each guess counts against the attempt cap, which lasts until the window expires.
+export async function verifyOtp(purpose, email, code) {
+  const record = await Otp.findOneAndUpdate(
+    { email, purpose, codeHash: { $ne: '' }, expiresAt: { $gt: new Date() } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!record) return 'OTP expired or not sent. Please request a new OTP.';
+  if (record.attempts > MAX_ATTEMPTS) {
+    return 'Too many incorrect attempts. Please try again later.';
+  }
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(email, purpose, String(code ?? '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return 'Invalid OTP';
+
+  await Otp.deleteOne({ _id: record._id });
+  return null;
+}
@@ -0,0 +1,40 @@
+import User from '../models/User.js';
+
+export const MESSAGE_PRIVACY = ['everyone', 'connections', 'followers'];
+
+export function includesId(list, id) {
+  const key = id?.toString();
+  return (list || []).some((x) => x.toString() === key);
+}
+
+// True when either user has blocked the other
+export async function isBlockedBetween(userId, otherId) {
+  if (!userId || !otherId) return false;
+  return !!(await User.exists({
+    $or: [
+      { _id: userId, blocked: otherId },
+      { _id: otherId, blocked: userId },
+    ],
+  }));
+}
+
+// Users hidden from `user`: everyone they blocked and everyone who blocked them
+export async function hiddenUserIds(user) {
+  const blockedMe = await User.find({ blocked: user._id }).select('_id').lean();
+  return [...(user.blocked || []), ...blockedMe.map((u) => u._id)];
+}
+
+// Why `sender` may not start a direct message with `receiver`, or null. `receiver`
+// needs blocked, messagePrivacy, connections and followers loaded.
+export function messagingError(sender, receiver) {
+  if (includesId(receiver.blocked, sender._id) || includesId(sender.blocked, receiver._id)) {
+    return "You can't message this user";
+  }
+  if (receiver.messagePrivacy === 'connections' && !includesId(receiver.connections, sender._id)) {
+    return 'This user only accepts messages from their connections';
+  }
+  if (receiver.messagePrivacy === 'followers' && !includesId(receiver.followers, sender._id)) {
+    return 'This user only accepts messages from their followers';
+  }
+  return null;
+}
@@ -0,0 +1,48 @@
+// Server-Sent Events hub: userId -> open event streams (one per tab/device), each
+// mapped to the session that opened it. Connections are held in memory, so events
+// only reach clients connected to this instance.
+const clients = new Map();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+export function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Register an SSE response for a user's session; cleaned up when the client disconnects
+export function addClient(userId, sessionId, res) {
+  const key = userId.toString();
+  if (!clients.has(key)) clients.set(key, new Map());
+  clients.get(key).set(res, sessionId.toString());
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    const streams = clients.get(key);
+    if (!streams) return;
+    streams.delete(res);
+    if (!streams.size) clients.delete(key);
+  });
+}
+
+// End the streams opened by these sessions, e.g. once they are revoked
+export function closeSessionStreams(sessionIds) {
+  const ids = new Set(sessionIds.map((id) => id.toString()));
+  if (!ids.size) return;
+  for (const streams of clients.values()) {
+    for (const [res, sessionId] of streams) {
+      if (ids.has(sessionId)) res.end();
+    }
+  }
+}
+
+// Push an event to every open stream of one user
+export function publish(userId, event, data) {
+  const streams = clients.get(userId?.toString());
+  if (!streams) return;
+  for (const res of streams.keys()) sendEvent(res, event, data);
+}
+
+export function isOnline(userId) {
+  return clients.has(userId?.toString());
+}
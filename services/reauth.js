@@ -0,0 +1,36 @@
+import User from '../models/User.js';
+import { issueOtp, verifyOtp, discardOtp } from './otp.js';
+import { sendOtpEmail } from './email.js';
+import { TWO_FACTOR_FIELDS, attemptSecondFactor } from './twoFactor.js';
+
+// Sensitive account changes need more than an access token. Accounts with a password
+// confirm with it; Google/GitHub-only accounts with a code emailed to their current
+// address for that `purpose`, or with a 2FA code when 2FA is on.
+
+// Email a confirmation code for `purpose`. Returns {}, or { status, error, retryAfter? }.
+export async function sendConfirmationCode(user, purpose) {
+  const { otp, error, retryAfter } = await issueOtp(purpose, user.email);
+  if (error) return { status: 429, error, retryAfter };
+  const result = await sendOtpEmail({ toEmail: user.email, otp }).catch((err) => ({ sent: false, reason: err.message }));
+  if (!result.sent) {
+    await discardOtp(purpose, user.email);
+    return { status: 503, error: result.reason || 'Failed to send OTP email' };
+  }
+  return {};
+}
+
+// Check { password }, { otp } (from sendConfirmationCode) or { code | recoveryCode }
+// (2FA). Returns an error message, or null when the user has confirmed.
+export async function confirmIdentity(userId, purpose, { password, otp, code, recoveryCode } = {}) {
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  if (user.password) {
+    return password && (await user.comparePassword(password)) ? null : 'Password is incorrect';
+  }
+  if (otp) return verifyOtp(purpose, user.email, otp);
+  if (user.twoFactor?.enabled && (code || recoveryCode)) {
+    return attemptSecondFactor(user, { code, recoveryCode });
+  }
+  return user.twoFactor?.enabled
+    ? 'Confirm with the code emailed to you or a two-factor code'
+    : 'Confirm with the code emailed to you';
+}
@@ -0,0 +1,134 @@
+import Report, { REPORT_REASONS } from '../models/Report.js';
+import Project from '../models/Project.js';
+import Comment from '../models/Comment.js';
+import UserCard from '../models/UserCard.js';
+import Message from '../models/Message.js';
+import { recordAudit, hideContent, unhideContent } from './moderation.js';
+import { removeProject, removeComment, removeUserCard, unsendMessage } from './contentRemoval.js';
+
+const MAX_DETAILS_LENGTH = 1000;
+// Open reports (each from a different user) after which an item is hidden until a
+// moderator reviews it
+export const REPORT_HIDE_THRESHOLD = Math.max(1, parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 5);
+export const REPORT_ACTIONS = ['dismiss', 'hide', 'remove'];
+
+// How each reportable type is loaded, who owns it, how it is removed and what a
+// moderator sees of it in the queue
+export const REPORT_TARGETS = {
+  project: {
+    Model: Project,
+    owner: 'userId',
+    remove: removeProject,
+    preview: (p) => ({ title: p.title, description: p.description }),
+  },
+  comment: {
+    Model: Comment,
+    owner: 'userId',
+    remove: removeComment,
+    preview: (c) => ({ text: c.text, projectId: c.projectId?.toString() || null, deleted: !!c.deleted }),
+  },
+  user_card: {
+    Model: UserCard,
+    owner: 'userId',
+    remove: removeUserCard,
+    preview: (c) => ({ fullName: c.fullName, username: c.username, passion: c.passion || '' }),
+  },
+  message: {
+    Model: Message,
+    owner: 'senderId',
+    remove: unsendMessage,
+    preview: (m) => ({
+      text: m.text,
+      attachmentCount: m.attachments?.length || 0,
+      conversationId: m.conversationId?.toString() || null,
+      deleted: !!m.deletedForEveryone,
+    }),
+  },
+};
+
+function ownerOf(targetType, target) {
+  return target[REPORT_TARGETS[targetType].owner] || null;
+}
+
+async function hideIfOverThreshold(targetType, target) {
+  if (target.hidden) return false;
+  const open = await Report.countDocuments({ targetType, targetId: target._id, status: 'open' });
+  if (open < REPORT_HIDE_THRESHOLD) return false;
+  const reason = `Hidden automatically after ${open} reports`;
+  await hideContent(target, { reason });
+  await recordAudit(null, `${targetType}.hide`, { type: targetType, id: target._id }, {
+    reason,
+    details: { reports: open },
+  });
+  return true;
+}
+
+// File a report on `target` (a loaded document the reporter is allowed to see).
+// Returns { report }, or { status, error } when the report is refused.
+export async function submitReport(reporter, targetType, target, { reason, details } = {}) {
+  if (!REPORT_REASONS.includes(reason)) {
+    return { status: 400, error: `reason must be one of: ${REPORT_REASONS.join(', ')}` };
+  }
+  const text = typeof details === 'string' ? details.trim() : '';
+  if (text.length > MAX_DETAILS_LENGTH) {
+    return { status: 400, error: `Details can be at most ${MAX_DETAILS_LENGTH} characters` };
+  }
+  const ownerId = ownerOf(targetType, target);
+  if (ownerId?.toString() === reporter._id.toString()) {
+    return { status: 400, error: "You can't report your own content" };
+  }
+
+  let report;
+  try {
+    report = await Report.create({
+      reporterId: reporter._id,
+      targetType,
+      targetId: target._id,
+      targetOwnerId: ownerId,
+      reason,
+      details: text,
+    });
+  } catch (err) {
+    if (err.code === 11000) return { status: 409, error: 'You have already reported this' };
+    throw err;
+  }
+  await hideIfOverThreshold(targetType, target);
+  return { report };
+}
+
+// Close every open report on an item. `dismiss` also restores an item that was
+// hidden automatically; `hide` and `remove` act on the item. Returns { resolved }
+// (number of reports closed), or { status, error }.
+export async function resolveReports(moderator, targetType, targetId, { action, note = '' }) {
+  if (!REPORT_ACTIONS.includes(action)) {
+    return { status: 400, error: `action must be one of: ${REPORT_ACTIONS.join(', ')}` };
+  }
+  const filter = { targetType, targetId, status: 'open' };
+  const open = await Report.find(filter).select('reason').lean();
+  if (!open.length) return { status: 404, error: 'No open reports for this item' };
+
+  // The item may already be gone (deleted by its owner); the reports can still be closed
+  const target = await REPORT_TARGETS[targetType].Model.findById(targetId);
+  const details = { reports: open.length, reasons: [...new Set(open.map((r) => r.reason))] };
+  if (target && action === 'hide' && !target.hidden) {
+    await hideContent(target, { by: moderator, reason: note || `Reported for ${details.reasons.join(', ')}` });
+  } else if (target && action === 'remove' && !target.deleted && !target.deletedForEveryone) {
+    await REPORT_TARGETS[targetType].remove(target);
+  } else if (target && action === 'dismiss' && target.hidden && !target.hiddenBy) {
+    await unhideContent(target);
+  }
+
+  const { modifiedCount } = await Report.updateMany(filter, {
+    status: action === 'dismiss' ? 'dismissed' : 'resolved',
+    resolution: action,
+    resolutionNote: note,
+    resolvedBy: moderator._id,
+    resolvedAt: new Date(),
+  });
+  const auditAction = { dismiss: 'dismiss_reports', hide: 'hide', remove: 'delete' }[action];
+  await recordAudit(moderator, `${targetType}.${auditAction}`, { type: targetType, id: targetId }, {
+    reason: note,
+    details,
+  });
+  return { resolved: modifiedCount };
+}
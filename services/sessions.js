@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import { closeSessionStreams } from './realtime.js';
+
+export const ACCESS_TOKEN_TTL = '15m';
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// How long an OAuth sign-in code can wait to be exchanged
+const SIGN_IN_CODE_TTL_MS = 60 * 1000;
+// How long a ticket for opening an event stream stays usable
+const STREAM_TICKET_TTL_MS = 30 * 1000;
+// lastSeenAt is written at most this often per session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// "Chrome on Windows" from a User-Agent header; good enough for a session list
+export function describeDevice(userAgent = '') {
+  const browser =
+    [
+      [/Edg\//, 'Edge'],
+      [/OPR\/|Opera/, 'Opera'],
+      [/Firefox\//, 'Firefox'],
+      [/Chrome\//, 'Chrome'],
+      [/Safari\//, 'Safari'],
+    ].find(([re]) => re.test(userAgent))?.[1] || null;
+  const os =
+    [
+      [/Android/, 'Android'],
+      [/iPhone|iPad|iPod/, 'iOS'],
+      [/Windows/, 'Windows'],
+      [/Mac OS X|Macintosh/, 'macOS'],
+      [/Linux/, 'Linux'],
+    ].find(([re]) => re.test(userAgent))?.[1] || null;
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ userId, sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+function tokensFor(session, secret) {
+  return {
+    token: signAccessToken(session.userId, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+}
+
+async function issueTokens(session) {
+  const secret = newSecret();
+  session.refreshTokenHash = hashToken(secret);
+  await session.save();
+  return tokensFor(session, secret);
+}
+
+function newSession(user, req, ttlMs) {
+  const userAgent = (req.get('user-agent') || '').slice(0, 500);
+  return new Session({
+    userId: user._id,
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip || '',
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+}
+
+// Start a session for a user signing in from this request
+export async function createSession(user, req) {
+  return issueTokens(newSession(user, req, REFRESH_TOKEN_TTL_MS));
+}
+
+// Start a session for an OAuth sign-in and return a one-time code for it instead of
+// tokens, so none end up in a redirect URL. The code is the session's first refresh
+// token with a short expiry: redeeming it rotates it, and a second use revokes the
+// session like any reused refresh token.
+export async function createSignInCode(user, req) {
+  const { refreshToken } = await issueTokens(newSession(user, req, SIGN_IN_CODE_TTL_MS));
+  return refreshToken;
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+// Swap a refresh token for a new one in a single update, so of two requests racing
+// with the same token only one wins. Returns { session, tokens }, or null when the
+// token is unknown, expired, revoked or already rotated. Presenting an already-rotated
+// token revokes the session, since either the client or an attacker holds a stolen copy.
+async function rotate(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const hash = hashToken(parsed.secret);
+  const secret = newSecret();
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        previousTokenHash: hash,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        ...(req.ip && { ip: req.ip }),
+      },
+    },
+    { new: true }
+  );
+  if (session) return { session, tokens: tokensFor(session, secret) };
+
+  const reused = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, previousTokenHash: hash, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+  if (reused) closeSessionStreams([reused._id]);
+  return null;
+}
+
+// New access + refresh token pair for a refresh token, or null (see rotate)
+export async function rotateSession(refreshToken, req) {
+  const rotated = await rotate(refreshToken, req);
+  return rotated?.tokens || null;
+}
+
+// Swap a sign-in code from createSignInCode for { userId, tokens }, or null
+export async function redeemSignInCode(code, req) {
+  const rotated = await rotate(code, req);
+  return rotated ? { userId: rotated.session.userId, tokens: rotated.tokens } : null;
+}
+
+// Session for a refresh token, without rotating it (e.g. to log out)
+export async function findSessionByRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || session.refreshTokenHash !== hashToken(parsed.secret)) return null;
+  return session;
+}
+
+// One-time ticket for opening an event stream from `session`, so the access token
+// never has to go in a URL. "<sessionId>.<secret>", like refresh tokens; issuing a
+// new one voids the previous.
+export async function issueStreamTicket(session) {
+  const secret = newSecret();
+  await Session.updateOne(
+    { _id: session._id },
+    { streamTicketHash: hashToken(secret), streamTicketExpiresAt: new Date(Date.now() + STREAM_TICKET_TTL_MS) }
+  );
+  return { ticket: `${session._id}.${secret}`, expiresIn: STREAM_TICKET_TTL_MS / 1000 };
+}
+
+// Use up a stream ticket. Returns its active session, or null.
+export function redeemStreamTicket(ticket) {
+  const parsed = parseRefreshToken(ticket);
+  if (!parsed) return null;
+  const now = new Date();
+  return Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      streamTicketHash: hashToken(parsed.secret),
+      streamTicketExpiresAt: { $gt: now },
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { $set: { streamTicketHash: null, streamTicketExpiresAt: null } },
+    { new: true }
+  );
+}
+
+// The active session an access token belongs to, or null. Bumps lastSeenAt.
+export async function activeSession(sessionId, userId) {
+  if (!sessionId) return null;
+  const session = await Session.findOne({ _id: sessionId, userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  if (session && Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+  }
+  return session;
+}
+
+// Revoke matching sessions and drop their open event streams
+export async function revokeSessions(filter) {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id').lean();
+  const result = await Session.updateMany({ ...filter, revokedAt: null }, { revokedAt: new Date() });
+  closeSessionStreams(sessions.map((s) => s._id));
+  return result;
+}
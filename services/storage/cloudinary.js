@@ -0,0 +1,75 @@
+import cloudinary from '../../cloudinary.js';
+
+const RESOURCE_TYPES = ['image', 'video', 'raw'];
+
+// Upload a temp file. `image` holds optional resize options (width, height, crop, format).
+async function upload(file, { folder, resourceType = 'auto', image } = {}) {
+  const result = await cloudinary.uploader.upload(file.path, {
+    folder,
+    resource_type: resourceType,
+    ...(image && { ...image, quality: 'auto' }),
+  });
+  return {
+    id: result.public_id,
+    url: result.secure_url,
+    resourceType: result.resource_type,
+    bytes: result.bytes,
+  };
+}
+
+async function remove(id, resourceType = 'image') {
+  const result = await cloudinary.uploader.destroy(id, {
+    resource_type: resourceType,
+    invalidate: true,
+  });
+  return result.result === 'ok' || result.result === 'not found';
+}
+
+// Small preview image: a resized frame for videos, nothing for raw files
+function thumbnailUrl(id, resourceType) {
+  if (resourceType !== 'image' && resourceType !== 'video') return null;
+  return cloudinary.url(id, {
+    resource_type: resourceType,
+    secure: true,
+    width: 200,
+    height: 200,
+    crop: 'fill',
+    quality: 'auto',
+    format: 'jpg',
+    ...(resourceType === 'video' && { start_offset: 0 }),
+  });
+}
+
+// Every stored asset, for reconciliation
+async function* list() {
+  for (const resourceType of RESOURCE_TYPES) {
+    let nextCursor;
+    do {
+      const page = await cloudinary.api.resources({
+        type: 'upload',
+        resource_type: resourceType,
+        max_results: 500,
+        next_cursor: nextCursor,
+      });
+      for (const r of page.resources) {
+        yield { id: r.public_id, resourceType, bytes: r.bytes, createdAt: new Date(r.created_at) };
+      }
+      nextCursor = page.next_cursor;
+    } while (nextCursor);
+  }
+}
+
+// Recover { id, resourceType } from a delivery URL, for records saved before
+// ids were stored. Returns null for any other URL.
+function idFromUrl(url) {
+  const match = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(.+)$/.exec(url || '');
+  if (!match) return null;
+  const [, resourceType, rest] = match;
+  const segments = rest.split('/');
+  const versionAt = segments.findIndex((s) => /^v\d+$/.test(s));
+  let id = segments.slice(versionAt + 1).join('/');
+  if (resourceType !== 'raw') id = id.replace(/\.[^./]+$/, '');
+  return id ? { id, resourceType } : null;
+}
+
+export default { name: 'cloudinary', upload, remove, list, idFromUrl, thumbnailUrl };
@@ -0,0 +1,23 @@
+import cloudinaryDriver from './cloudinary.js';
+import localDriver from './local.js';
+
+// Media storage backend, chosen by STORAGE_DRIVER (cloudinary | local).
+// Drivers implement:
+//   upload(file, { folder, resourceType, image }) -> { id, url, resourceType, bytes }
+//     `file` is a multer disk file; the temp file is consumed
+//   remove(id, resourceType) -> boolean
+//   list() -> async iterable of { id, resourceType, bytes, createdAt }
+//   idFromUrl(url) -> { id, resourceType } | null
+//   thumbnailUrl(id, resourceType) -> small preview URL | null
+const DRIVERS = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver,
+};
+
+const driverName = (process.env.STORAGE_DRIVER || 'cloudinary').toLowerCase();
+const storage = DRIVERS[driverName];
+if (!storage) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+}
+
+export default storage;
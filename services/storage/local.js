@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { getExtensionFromMimetype } from '../../middleware/upload.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Files live under uploads/media/<folder>/ and are served by server.js at /api/media
+export const LOCAL_MEDIA_DIR = path.join(__dirname, '../../uploads/media');
+const URL_PREFIX = '/api/media/';
+
+function baseUrl() {
+  return process.env.BACKEND_URL || 'http://localhost:4000';
+}
+
+export const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'gif'];
+
+function resourceTypeFor(mimetype = '') {
+  if (mimetype.startsWith('image/')) return 'image';
+  if (mimetype.startsWith('video/')) return 'video';
+  return 'raw';
+}
+
+// Resolve an id to a path inside LOCAL_MEDIA_DIR, refusing anything that escapes it
+function filePath(id) {
+  const full = path.resolve(LOCAL_MEDIA_DIR, id);
+  if (!full.startsWith(LOCAL_MEDIA_DIR + path.sep)) throw new Error(`Invalid media id: ${id}`);
+  return full;
+}
+
+// Image resize options are ignored locally; files are stored as uploaded
+async function upload(file, { folder = 'misc' } = {}) {
+  const ext = getExtensionFromMimetype(file.mimetype);
+  const id = `${folder}/${uuidv4()}${ext}`;
+  const dest = filePath(id);
+  await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+  try {
+    await fs.promises.rename(file.path, dest);
+  } catch (err) {
+    // rename fails across devices; fall back to copy
+    if (err.code !== 'EXDEV') throw err;
+    await fs.promises.copyFile(file.path, dest);
+    await fs.promises.unlink(file.path);
+  }
+  const { size } = await fs.promises.stat(dest);
+  return {
+    id,
+    url: `${baseUrl()}${URL_PREFIX}${id}`,
+    resourceType: resourceTypeFor(file.mimetype),
+    bytes: size,
+  };
+}
+
+// No transcoding locally: images are their own thumbnail, videos and files have none
+function thumbnailUrl(id, resourceType) {
+  return resourceType === 'image' ? `${baseUrl()}${URL_PREFIX}${id}` : null;
+}
+
+async function remove(id) {
+  try {
+    await fs.promises.unlink(filePath(id));
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') return true;
+    throw err;
+  }
+}
+
+async function* walk(dir, prefix = '') {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+  for (const entry of entries) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      yield* walk(path.join(dir, entry.name), rel);
+    } else {
+      yield rel;
+    }
+  }
+}
+
+async function* list() {
+  for await (const id of walk(LOCAL_MEDIA_DIR)) {
+    const stat = await fs.promises.stat(filePath(id));
+    const ext = path.extname(id).slice(1);
+    const resourceType = ['mp4', 'webm', 'mov'].includes(ext)
+      ? 'video'
+      : IMAGE_EXTENSIONS.includes(ext)
+        ? 'image'
+        : 'raw';
+    yield { id, resourceType, bytes: stat.size, createdAt: stat.mtime };
+  }
+}
+
+function idFromUrl(url) {
+  const at = (url || '').indexOf(URL_PREFIX);
+  if (at === -1) return null;
+  const id = decodeURIComponent(url.slice(at + URL_PREFIX.length).split(/[?#]/)[0]);
+  return id ? { id, resourceType: 'image' } : null;
+}
+
+export default { name: 'local', upload, remove, list, idFromUrl, thumbnailUrl };
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s steps), the variant every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes from one step either side to allow for clock drift
+const DRIFT_STEPS = 1;
+const ISSUER = process.env.TOTP_ISSUER || 'Project Gallery';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  const clean = text.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function hotp(key, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// New base32 secret (160 bits, as RFC 4226 recommends)
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// The code an authenticator shows for `secret` at `step`
+export function totpCode(secret, step = currentStep()) {
+  return hotp(base32Decode(secret), step);
+}
+
+// Step the code matched at, or null. Steps at or before `lastUsedStep` are refused so
+// a code can't be replayed.
+export function verifyTotp(secret, code, { lastUsedStep = -1, now = Date.now() } = {}) {
+  const clean = String(code ?? '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+  for (let s = step - DRIFT_STEPS; s <= step + DRIFT_STEPS; s += 1) {
+    if (s <= lastUsedStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, s)), Buffer.from(clean))) return s;
+  }
+  return null;
+}
+
+// otpauth:// URI for the enrolment QR code
+export function otpauthUrl(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// Secrets are stored encrypted (AES-256-GCM) with TOTP_ENCRYPTION_KEY, falling back
+// to a key derived from JWT_SECRET
+function encryptionKey() {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || `totp:${process.env.JWT_SECRET}`)
+    .digest();
+}
+
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString('base64url')).join('.');
+}
+
+export function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split('.').map((p) => Buffer.from(p, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+// One-time recovery codes: plain codes to show the user once, hashes to store
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Index of the stored hash matching `code`, or -1
+export function findRecoveryCode(hashes, code) {
+  if (!code) return -1;
+  return (hashes || []).indexOf(hashRecoveryCode(String(code)));
+}
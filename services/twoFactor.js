@@ -0,0 +1,56 @@
+import { verifyTotp, decryptSecret, findRecoveryCode } from './totp.js';
+
+const MAX_2FA_FAILURES = 5;
+const TWO_FACTOR_LOCK_MS = 15 * 60 * 1000;
+// Select these to check codes; the secrets are left out of user queries by default
+export const TWO_FACTOR_FIELDS = [
+  'secret',
+  'pendingSecret',
+  'recoveryCodes',
+  'lastUsedStep',
+  'failedAttempts',
+  'lockedUntil',
+]
+  .map((f) => `+twoFactor.${f}`)
+  .join(' ');
+
+// Check a TOTP code or a recovery code for a user loaded with TWO_FACTOR_FIELDS.
+// A matching recovery code is used up and the TOTP step remembered; the caller saves.
+function checkSecondFactor(user, { code, recoveryCode }) {
+  const tf = user.twoFactor;
+  if (recoveryCode) {
+    const index = findRecoveryCode(tf.recoveryCodes, recoveryCode);
+    if (index === -1) return false;
+    tf.recoveryCodes.splice(index, 1);
+    return true;
+  }
+  const step = verifyTotp(decryptSecret(tf.secret), code, { lastUsedStep: tf.lastUsedStep });
+  if (step === null) return false;
+  tf.lastUsedStep = step;
+  return true;
+}
+
+// Like checkSecondFactor, but repeated failures lock 2FA for a while. Returns an
+// error message, or null on success. Saves the user either way.
+export async function attemptSecondFactor(user, codes) {
+  const tf = user.twoFactor;
+  if (tf.lockedUntil && tf.lockedUntil > new Date()) {
+    return 'Too many incorrect codes. Please try again later.';
+  }
+  if (!codes.code && !codes.recoveryCode) {
+    return 'code or recoveryCode is required';
+  }
+  if (!checkSecondFactor(user, codes)) {
+    tf.failedAttempts = (tf.failedAttempts || 0) + 1;
+    if (tf.failedAttempts >= MAX_2FA_FAILURES) {
+      tf.failedAttempts = 0;
+      tf.lockedUntil = new Date(Date.now() + TWO_FACTOR_LOCK_MS);
+    }
+    await user.save();
+    return 'Invalid code';
+  }
+  tf.failedAttempts = 0;
+  tf.lockedUntil = null;
+  await user.save();
+  return null;
+}
@@ -0,0 +1,70 @@
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+const NON_WORD = /[^\p{L}\p{N}_]+/u;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Words from a Mongo $text query, skipping negated terms ("-word")
+export function searchTerms(q) {
+  const terms = new Set();
+  for (const token of q.split(/\s+/)) {
+    if (!token || token.startsWith('-')) continue;
+    for (const word of token.replace(/"/g, '').split(NON_WORD)) {
+      if (word) terms.add(word.toLowerCase());
+    }
+  }
+  return [...terms];
+}
+
+// HTML-escaped text with matches wrapped in <mark>. Terms match as word prefixes so
+// stemmed hits (search "build" -> "building") are still marked. With maxLength the
+// text is cut to a snippet around the first match.
+export function highlightMatches(text, terms, { maxLength } = {}) {
+  if (!text) return '';
+  if (!terms.length) {
+    return escapeHtml(maxLength && text.length > maxLength ? `${text.slice(0, maxLength).trimEnd()}…` : text);
+  }
+
+  const pattern = new RegExp(
+    `(?<!${WORD_CHAR})(?:${terms.map(escapeRegExp).join('|')})${WORD_CHAR}*`,
+    'giu'
+  );
+
+  let snippet = text;
+  let prefix = '';
+  let suffix = '';
+  if (maxLength && text.length > maxLength) {
+    pattern.lastIndex = 0;
+    const first = pattern.exec(text);
+    let start = first ? Math.max(0, first.index - Math.floor(maxLength / 4)) : 0;
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < (first?.index ?? start)) start = space + 1;
+    }
+    const end = Math.min(text.length, start + maxLength);
+    snippet = text.slice(start, end);
+    if (start > 0) prefix = '…';
+    if (end < text.length) suffix = '…';
+  }
+
+  let out = '';
+  let last = 0;
+  pattern.lastIndex = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    out += escapeHtml(snippet.slice(last, match.index));
+    out += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  out += escapeHtml(snippet.slice(last));
+  return `${prefix}${out}${suffix}`;
+}
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Parse ?limit= into a sane page size
+export function parseLimit(raw, { defaultLimit = DEFAULT_LIMIT, max = MAX_LIMIT } = {}) {
+  const n = parseInt(raw, 10);
+  if (!Number.isFinite(n) || n < 1) return defaultLimit;
+  return Math.min(n, max);
+}
+
+function encodeValue(value) {
+  if (value instanceof Date) return { $d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $o: value.toString() };
+  return value ?? null;
+}
+
+function decodeValue(value) {
+  if (value && typeof value === 'object') {
+    if (value.$d) return new Date(value.$d);
+    if (value.$o) return new mongoose.Types.ObjectId(value.$o);
+  }
+  return value;
+}
+
+// Opaque cursor: base64url JSON of the sort key values of the last item on the page
+export function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values.map(encodeValue))).toString('base64url');
+}
+
+// Returns null for anything that isn't a cursor we issued
+export function decodeCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') return null;
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(values)) return null;
+    return values.map(decodeValue);
+  } catch {
+    return null;
+  }
+}
+
+// Mongo sort object from [[field, 1 | -1], ...]
+export function toMongoSort(sortSpec) {
+  return Object.fromEntries(sortSpec);
+}
+
+// Filter matching everything strictly after `values` in the given sort order
+export function buildCursorFilter(sortSpec, values) {
+  const or = sortSpec.map(([field, dir], i) => {
+    const clause = {};
+    for (let j = 0; j < i; j += 1) {
+      clause[sortSpec[j][0]] = values[j];
+    }
+    clause[field] = dir > 0 ? { $gt: values[i] } : { $lt: values[i] };
+    return clause;
+  });
+  return { $or: or };
+}
+
+// Cursor for the last doc of a page, using the same sort spec. A `tag` (e.g. the name
+// of the sort mode) goes in front of the values, so the endpoint can tell which
+// sort the cursor belongs to.
+export function cursorFor(sortSpec, doc, tag) {
+  const values = sortSpec.map(([field]) => field.split('.').reduce((v, k) => v?.[k], doc));
+  return encodeCursor(tag === undefined ? values : [tag, ...values]);
+}
+
+// Fetch limit + 1 to know whether another page exists
+export async function paginate(query, { sortSpec, limit, tag }) {
+  const items = await query.sort(toMongoSort(sortSpec)).limit(limit + 1);
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore && items.length ? cursorFor(sortSpec, items[items.length - 1], tag) : null,
+  };
+}